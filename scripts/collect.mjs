@@ -1,27 +1,91 @@
 /**
  * Transcript Collector — YouTube Data API v3 + youtube-transcript
+ *
+ * Syncs incrementally: only uploads newer than the last run are listed,
+ * view counts are refreshed in batches, failed transcripts are retried and
+ * good ones kept. Progress is checkpointed to .cache/ so a crashed run
+ * resumes instead of starting over.
+ *
+ *   node scripts/collect.mjs [--force] [--full] [--profiles] [--topics]
+ *
+ * What to collect is listed in sources.json (or the file in COLLECT_SOURCES):
+ *
+ *   { "sources": [
+ *     { "id": "starterstory", "type": "channel", "handle": "starterstory", "minDurationSeconds": 120 },
+ *     { "id": "growth", "type": "playlist", "playlistId": "PL...", "label": "Growth talks" },
+ *     { "id": "picks", "type": "videos", "videoIds": ["dQw4w9WgXcQ"], "maxDurationSeconds": 7200 }
+ *   ] }
+ *
+ * Every video records the `source` id it was collected from.
+ *
+ * Networking (scripts/youtube.mjs) retries transient errors with backoff.
+ * YOUTUBE_QUOTA_BUDGET caps the Data API units a run may spend (default
+ * 10000, the daily quota); TRANSCRIPT_CONCURRENCY sets how many transcripts
+ * are fetched at once (default 4).
+ *
+ * Videos without captions can be transcribed from their audio instead — set
+ * TRANSCRIBER (see scripts/transcribers.mjs). Each transcript records its
+ * `transcriptSource`: 'youtube-captions' or 'asr'.
+ *
+ * Every transcribed video gets a `profile` of founder and company facts
+ * (src/lib/profile.js) from the extractors listed in EXTRACTORS — see
+ * scripts/extractors.mjs. New videos are profiled as they arrive, all of
+ * them when the extractors change; --profiles re-extracts every profile
+ * from the collected data without syncing.
+ *
+ * Videos are tagged with `topics` from the taxonomy in topics.json (or the
+ * file in COLLECT_TOPICS), plus TOPIC_CLUSTERS clusters if set — see
+ * scripts/topics.mjs. --topics re-tags without syncing.
  */
 
 import fs from 'fs';
 import path from 'path';
+import zlib from 'zlib';
 import { fileURLToPath } from 'url';
+import { buildIndex, splitPassages } from '../src/lib/search.js';
+import { embedderFromEnv, encodeVectors } from '../src/lib/semantic.js';
+import { readDatabase } from '../src/lib/corpus.js';
+import { MANIFEST_VERSION, shardPath, splitVideo } from '../src/lib/shards.js';
+import { createYouTube, mapPool } from './youtube.mjs';
+import { transcriberFromEnv, fetchTranscript, MAX_TRANSCRIPT_ATTEMPTS } from './transcribers.mjs';
+import { extractorsFromEnv, extractorSignature, extractProfile } from './extractors.mjs';
+import { compileTaxonomy, tagVideos, clusterVideos } from './topics.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const OUTPUT_PATH = path.join(__dirname, '..', 'public', 'data', 'transcripts.json');
+const DATA_DIR = path.join(__dirname, '..', 'public', 'data');
+const MANIFEST_PATH = path.join(DATA_DIR, 'manifest.json');
+const LEGACY_PATH = path.join(DATA_DIR, 'transcripts.json');
+const INDEX_PATH = path.join(__dirname, '..', 'public', 'data', 'index.json');
+const VECTORS_PATH = path.join(__dirname, '..', 'public', 'data', 'vectors.json');
+const CHECKPOINT_PATH = path.join(__dirname, '..', '.cache', 'collect-checkpoint.json');
+const ASR_DIR = path.join(__dirname, '..', '.cache', 'asr');
+const EMBED_BATCH = 64;
+const CHECKPOINT_EVERY = 10;
+const SOURCES_PATH = process.env.COLLECT_SOURCES || path.join(__dirname, '..', 'sources.json');
+const TOPICS_PATH = process.env.COLLECT_TOPICS || path.join(__dirname, '..', 'topics.json');
+const TOPIC_CLUSTERS = parseInt(process.env.TOPIC_CLUSTERS || '0', 10);
 const API_KEY = process.env.YOUTUBE_API_KEY;
-const CHANNEL_HANDLE = 'starterstory';
 const MIN_DURATION_SECONDS = 120;
-const YT_API = 'https://www.googleapis.com/youtube/v3';
+// Used when there's no sources file — and the source of videos collected
+// before sources existed
+const DEFAULT_SOURCES = [{ id: 'starterstory', type: 'channel', handle: 'starterstory', label: 'Starter Story' }];
+const QUOTA_BUDGET = parseInt(process.env.YOUTUBE_QUOTA_BUDGET || '10000', 10);
+const CONCURRENCY = parseInt(process.env.TRANSCRIPT_CONCURRENCY || '4', 10);
+const EXTRACT_CONCURRENCY = parseInt(process.env.EXTRACT_CONCURRENCY || '2', 10);
 
-async function ytGet(endpoint, params) {
-  const url = new URL(`${YT_API}/${endpoint}`);
-  url.searchParams.set('key', API_KEY);
-  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
-  const res = await fetch(url);
-  const data = await res.json();
-  if (data.error) throw new Error(`YT API: ${data.error.message}`);
-  return data;
-}
+// --full ignores everything collected so far; --force syncs even if the
+// last run was under 24h ago; --profiles and --topics only redo those steps
+const ARGS = new Set(process.argv.slice(2));
+const FULL = ARGS.has('--full');
+const FORCE = FULL || ARGS.has('--force');
+const PROFILES_ONLY = ARGS.has('--profiles');
+const TOPICS_ONLY = ARGS.has('--topics');
+
+const yt = createYouTube({
+  apiKey: API_KEY,
+  quotaBudget: QUOTA_BUDGET,
+  log: msg => console.log(`  ↻ ${msg}`),
+});
 
 function parseDuration(iso) {
   if (!iso) return 0;
@@ -35,18 +99,99 @@ function formatDuration(s) {
   return h > 0 ? `${h}:${String(m).padStart(2,'0')}:${String(sec).padStart(2,'0')}` : `${m}:${String(sec).padStart(2,'0')}`;
 }
 
-async function fetchTranscript(videoId) {
+function readJson(file) {
   try {
-    const { YoutubeTranscript } = await import('youtube-transcript');
-    const segments = await YoutubeTranscript.fetchTranscript(videoId);
-    const text = segments.map(s => s.text).join(' ')
-      .replace(/\[Music\]/gi, '').replace(/\[Applause\]/gi, '')
-      .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
-      .replace(/&#39;/g, "'").replace(/&quot;/g, '"').replace(/\s+/g, ' ').trim();
-    return { ok: true, text, words: text.split(/\s+/).length };
-  } catch (e) {
-    return { ok: false, text: '', words: 0, err: e.message?.slice(0, 100) || 'Unknown' };
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function saveCheckpoint(touched, done) {
+  fs.mkdirSync(path.dirname(CHECKPOINT_PATH), { recursive: true });
+  fs.writeFileSync(CHECKPOINT_PATH, JSON.stringify({ savedAt: new Date().toISOString(), done: [...done], videos: [...touched.values()] }));
+}
+
+/**
+ * Sources from the config file, checked and filled in with defaults
+ */
+function loadSources() {
+  const config = readJson(SOURCES_PATH);
+  if (!config) {
+    console.log(`  No sources file at ${SOURCES_PATH} — collecting Starter Story only`);
+    return DEFAULT_SOURCES.map(s => ({ ...s }));
   }
+  const seen = new Set();
+  return (config.sources || []).map((s, i) => {
+    const source = { ...s, id: s.id || s.handle || s.playlistId };
+    if (!source.id) throw new Error(`Source ${i + 1} needs an id`);
+    if (seen.has(source.id)) throw new Error(`Duplicate source id: ${source.id}`);
+    seen.add(source.id);
+    if (!['channel', 'playlist', 'videos'].includes(source.type)) throw new Error(`Unknown source type for ${source.id}: ${source.type}`);
+    if (source.type === 'channel' && !source.handle) throw new Error(`Channel source ${source.id} needs a handle`);
+    if (source.type === 'playlist' && !source.playlistId) throw new Error(`Playlist source ${source.id} needs a playlistId`);
+    if (source.type === 'videos' && !Array.isArray(source.videoIds)) throw new Error(`Videos source ${source.id} needs videoIds`);
+    return source;
+  });
+}
+
+/**
+ * The topic taxonomy, checked — none if there's no taxonomy file
+ */
+function loadTaxonomy() {
+  const config = readJson(TOPICS_PATH);
+  if (!config) console.log(`  No topic taxonomy at ${TOPICS_PATH}${TOPIC_CLUSTERS ? ' — clusters only' : ''}`);
+  return compileTaxonomy(config);
+}
+
+/**
+ * Look up a source's uploads playlist, label and URL
+ */
+async function resolveSource(source) {
+  if (source.type === 'channel') {
+    const ch = await yt.get('channels', { forHandle: source.handle, part: 'snippet,contentDetails' });
+    if (!ch.items?.length) throw new Error(`Channel not found: @${source.handle}`);
+    source.playlistId = ch.items[0].contentDetails.relatedPlaylists.uploads;
+    source.label ||= ch.items[0].snippet.title;
+    source.url = `https://www.youtube.com/@${source.handle}`;
+  } else if (source.type === 'playlist') {
+    if (!source.label) {
+      const pl = await yt.get('playlists', { id: source.playlistId, part: 'snippet' });
+      source.label = pl.items?.[0]?.snippet.title || source.id;
+    }
+    source.url = `https://www.youtube.com/playlist?list=${source.playlistId}`;
+  } else {
+    source.label ||= source.id;
+    source.url = null;
+  }
+}
+
+/**
+ * Video ids in a playlist. With `since`, listing stops at the first page
+ * reaching an item added at or before then, or one `isKnown` says we have.
+ */
+async function listPlaylist(playlistId, since, isKnown) {
+  const ids = [];
+  let newestListedAt = since;
+  let pageToken = '';
+  let caughtUp = false;
+  do {
+    const params = { playlistId, part: 'snippet', maxResults: '50' };
+    if (pageToken) params.pageToken = pageToken;
+    const pl = await yt.get('playlistItems', params);
+    for (const item of pl.items || []) {
+      const id = item.snippet.resourceId.videoId;
+      const listedAt = item.snippet.publishedAt || '';
+      if (listedAt > newestListedAt) newestListedAt = listedAt;
+      if (since && (isKnown(id) || (listedAt && listedAt <= since))) {
+        caughtUp = true;
+        continue;
+      }
+      ids.push(id);
+    }
+    pageToken = pl.nextPageToken || '';
+  } while (pageToken && !caughtUp);
+  return { ids, newestListedAt };
 }
 
 async function collect() {
@@ -54,115 +199,352 @@ async function collect() {
   console.log('  FOUNDER WISDOM — Transcript Collector');
   console.log('══════════════════════════════════════════════\n');
 
+  if (PROFILES_ONLY || TOPICS_ONLY) {
+    const db = readDatabase(DATA_DIR);
+    if (!db?.videos?.length) {
+      console.error('  Nothing collected yet — run a sync first');
+      return;
+    }
+    if (PROFILES_ONLY) await extractProfiles(db.videos, { all: true });
+    if (TOPICS_ONLY) db.metadata.topics = tagTopics(db.videos, loadTaxonomy());
+    writeDatabase(db, new Map());
+    return;
+  }
+
   if (!API_KEY) {
     console.error('  ERROR: YOUTUBE_API_KEY not set');
     ensureOutput({ status: 'error', message: 'No API key' });
     return;
   }
 
+  const existing = FULL ? null : readDatabase(DATA_DIR);
+
   // Cache check
-  if (fs.existsSync(OUTPUT_PATH)) {
-    try {
-      const existing = JSON.parse(fs.readFileSync(OUTPUT_PATH, 'utf-8'));
-      const hours = (Date.now() - new Date(existing.metadata?.collectedAt || 0).getTime()) / 3.6e6;
-      if (hours < 24 && existing.videos?.length > 5) {
-        console.log(`  Cached: ${existing.videos.length} videos (${Math.round(hours)}h ago)`);
-        return;
-      }
-    } catch {}
+  if (existing && !FORCE) {
+    const hours = (Date.now() - new Date(existing.metadata?.collectedAt || 0).getTime()) / 3.6e6;
+    if (hours < 24 && existing.videos?.length > 5) {
+      console.log(`  Cached: ${existing.videos.length} videos (${Math.round(hours)}h ago) — use --force to sync now`);
+      if (!fs.existsSync(INDEX_PATH)) writeIndex(existing.videos);
+      if (!fs.existsSync(VECTORS_PATH)) await writeVectors(existing.videos);
+      return;
+    }
   }
 
-  // Step 1: Find channel
-  console.log('  Step 1/4: Finding channel @' + CHANNEL_HANDLE + '...');
-  const ch = await ytGet('channels', { forHandle: CHANNEL_HANDLE, part: 'snippet,contentDetails' });
-  if (!ch.items?.length) throw new Error('Channel not found');
-  const channel = ch.items[0];
-  const uploadsId = channel.contentDetails.relatedPlaylists.uploads;
-  console.log(`  Channel: ${channel.snippet.title} (${channel.id})`);
+  const known = new Map((existing?.videos || []).map(v => [v.id, v]));
+  // Records touched by this run, and videos whose transcript step is done —
+  // both go into the checkpoint so a crashed run picks up where it stopped
+  const touched = new Map();
+  const done = new Set();
+  const checkpoint = FULL ? null : readJson(CHECKPOINT_PATH);
+  if (checkpoint?.videos) {
+    for (const v of checkpoint.videos) { known.set(v.id, v); touched.set(v.id, v); }
+    for (const id of checkpoint.done || []) done.add(id);
+    console.log(`  Resuming checkpoint from ${checkpoint.savedAt}: ${done.size} videos already processed`);
+  }
 
-  // Step 2: Get all video IDs from uploads playlist
-  console.log('  Step 2/4: Listing videos...');
-  const videoIds = [];
-  let pageToken = '';
-  do {
-    const params = { playlistId: uploadsId, part: 'snippet', maxResults: '50' };
-    if (pageToken) params.pageToken = pageToken;
-    const pl = await ytGet('playlistItems', params);
-    pl.items?.forEach(i => videoIds.push(i.snippet.resourceId.videoId));
-    pageToken = pl.nextPageToken || '';
-    console.log(`  ...${videoIds.length} videos`);
-  } while (pageToken);
-
-  // Step 3: Get video details (duration, views) in batches
-  console.log(`  Step 3/4: Getting details for ${videoIds.length} videos...`);
-  const videoDetails = [];
-  for (let i = 0; i < videoIds.length; i += 50) {
-    const batch = videoIds.slice(i, i + 50);
-    const vd = await ytGet('videos', { id: batch.join(','), part: 'snippet,contentDetails,statistics' });
+  // Videos from before sources existed all came from Starter Story, captioned
+  for (const v of known.values()) {
+    v.source ||= DEFAULT_SOURCES[0].id;
+    if (v.transcriptAvailable) v.transcriptSource ||= 'youtube-captions';
+  }
+  const sources = loadSources();
+  const taxonomy = loadTaxonomy();
+  const configured = new Set(sources.map(s => s.id));
+  const dropped = [...known.values()].filter(v => !configured.has(v.source));
+  if (dropped.length) {
+    console.log(`  Dropping ${dropped.length} videos from sources no longer configured`);
+    for (const v of dropped) known.delete(v.id);
+  }
+  const previous = new Map((existing?.metadata?.sources || []).map(s => [s.id, s]));
+
+  // Step 1: Resolve sources
+  console.log(`  Step 1/6: Resolving ${sources.length} sources...`);
+  for (const source of sources) {
+    await resolveSource(source);
+    console.log(`  ${source.id}: ${source.label}`);
+  }
+
+  // Step 2: List new videos. Channel uploads come newest-first, so listing
+  // stops at what the last run already saw; playlists are listed in full.
+  console.log('  Step 2/6: Listing videos...');
+  const pending = new Map(); // video id -> source
+  for (const source of sources) {
+    const lastListedAt = FULL ? '' : previous.get(source.id)?.lastListedAt
+      || (source.id === DEFAULT_SOURCES[0].id && existing?.metadata?.lastListedAt) || '';
+    source.lastListedAt = lastListedAt;
+    let ids = source.videoIds || [];
+    if (source.playlistId) {
+      const listed = await listPlaylist(source.playlistId, source.type === 'channel' ? lastListedAt : '',
+        id => known.get(id)?.source === source.id);
+      ids = listed.ids;
+      if (listed.newestListedAt > source.lastListedAt) source.lastListedAt = listed.newestListedAt;
+    }
+    let added = 0;
+    for (const id of ids) {
+      if (known.has(id) || pending.has(id)) continue;
+      pending.set(id, source);
+      added++;
+    }
+    console.log(`  ${source.id}: ${added} new videos`);
+  }
+
+  // Step 3: Details for new videos; fresh view counts for known ones
+  console.log(`  Step 3/6: Getting details for ${pending.size} new videos, refreshing stats for ${known.size}...`);
+  const newIds = [...pending.keys()];
+  let filtered = 0, added = 0;
+  for (let i = 0; i < newIds.length; i += 50) {
+    const batch = newIds.slice(i, i + 50);
+    const vd = await yt.get('videos', { id: batch.join(','), part: 'snippet,contentDetails,statistics' });
     vd.items?.forEach(v => {
+      const source = pending.get(v.id);
       const dur = parseDuration(v.contentDetails.duration);
-      if (dur >= MIN_DURATION_SECONDS) {
-        videoDetails.push({
-          id: v.id,
-          title: v.snippet.title,
-          description: v.snippet.description?.slice(0, 300) || '',
-          publishedAt: v.snippet.publishedAt,
-          thumbnail: v.snippet.thumbnails?.high?.url || v.snippet.thumbnails?.default?.url || '',
-          durationSeconds: dur,
-          durationFormatted: formatDuration(dur),
-          viewCount: parseInt(v.statistics.viewCount || '0', 10),
-        });
+      if (dur < (source.minDurationSeconds ?? MIN_DURATION_SECONDS) || (source.maxDurationSeconds && dur > source.maxDurationSeconds)) {
+        filtered++;
+        return;
       }
+      const record = {
+        id: v.id,
+        source: source.id,
+        channelTitle: v.snippet.channelTitle || '',
+        title: v.snippet.title,
+        description: v.snippet.description?.slice(0, 300) || '',
+        publishedAt: v.snippet.publishedAt,
+        thumbnail: v.snippet.thumbnails?.high?.url || v.snippet.thumbnails?.default?.url || '',
+        durationSeconds: dur,
+        durationFormatted: formatDuration(dur),
+        viewCount: parseInt(v.statistics.viewCount || '0', 10),
+        url: `https://www.youtube.com/watch?v=${v.id}`,
+        transcriptAvailable: false,
+        transcript: '',
+        segments: [],
+        wordCount: 0,
+        transcriptAttempts: 0,
+      };
+      known.set(v.id, record);
+      touched.set(v.id, record);
+      added++;
     });
   }
-  console.log(`  Long-form videos: ${videoDetails.length} (filtered ${videoIds.length - videoDetails.length} shorts)`);
+  const fresh = new Set(newIds);
+  const knownIds = [...known.keys()].filter(id => !fresh.has(id));
+  for (let i = 0; i < knownIds.length; i += 50) {
+    const batch = knownIds.slice(i, i + 50);
+    const vd = await yt.get('videos', { id: batch.join(','), part: 'statistics' });
+    vd.items?.forEach(v => {
+      known.get(v.id).viewCount = parseInt(v.statistics.viewCount || '0', 10);
+    });
+  }
+  console.log(`  New videos: ${added} (filtered ${filtered} outside their source's duration limits)`);
+  saveCheckpoint(touched, done);
 
-  // Step 4: Fetch transcripts
-  console.log(`\n  Step 4/4: Fetching transcripts...`);
-  let ok = 0, fail = 0, totalWords = 0;
-  const videos = [];
+  // Step 4: Transcripts for new videos, plus earlier failures worth retrying.
+  // Transcripts we already have are kept as they are.
+  const transcriber = transcriberFromEnv(process.env, ASR_DIR);
+  const queue = [...known.values()].filter(v => !v.transcriptAvailable && !done.has(v.id) && (
+    (v.transcriptAttempts || 0) < MAX_TRANSCRIPT_ATTEMPTS ||
+    (transcriber && (v.asrAttempts || 0) < MAX_TRANSCRIPT_ATTEMPTS)));
+  console.log(`\n  Step 4/6: Fetching ${queue.length} transcripts${transcriber ? ` (${transcriber.name} fallback)` : ''}...`);
+  let ok = 0, fail = 0, finished = 0;
 
-  for (let i = 0; i < videoDetails.length; i++) {
-    const v = videoDetails[i];
-    process.stdout.write(`  [${i+1}/${videoDetails.length}] ${v.title.slice(0,55)}... `);
-    const t = await fetchTranscript(v.id);
-    videos.push({
-      ...v,
-      url: `https://www.youtube.com/watch?v=${v.id}`,
+  await mapPool(queue, CONCURRENCY, async v => {
+    const t = await fetchTranscript(v, { yt, transcriber });
+    Object.assign(v, {
       transcriptAvailable: t.ok,
+      transcriptSource: t.ok ? t.source : undefined,
       transcript: t.text,
+      segments: t.segments,
       wordCount: t.words,
+      transcriptAttempts: (v.transcriptAttempts || 0) + t.captionAttempts,
+      asrAttempts: t.asrAttempts ? (v.asrAttempts || 0) + 1 : v.asrAttempts,
+      transcriptError: t.ok ? undefined : t.err,
+      transcriptFailure: t.ok ? undefined : t.reason,
     });
-    if (t.ok) { ok++; totalWords += t.words; console.log(`✓ (${t.words} words)`); }
-    else { fail++; console.log(`✗ (${t.err})`); }
-    if (i < videoDetails.length - 1) await new Promise(r => setTimeout(r, 200));
-  }
+    touched.set(v.id, v);
+    done.add(v.id);
+    finished++;
+    const line = `  [${finished}/${queue.length}] ${v.title.slice(0,55)}... `;
+    if (t.ok) { ok++; console.log(`${line}✓ (${t.words} words${t.source === 'asr' ? ', asr' : ''})`); }
+    else { fail++; console.log(`${line}✗ (${t.reason}: ${t.err})`); }
+    if (finished % CHECKPOINT_EVERY === 0) saveCheckpoint(touched, done);
+  });
+
+  // Step 5: Founder and company profiles for new transcripts
+  console.log('\n  Step 5/6: Extracting profiles...');
+  await extractProfiles([...known.values()], { touched });
 
+  // Step 6: Topics — cheap, so every video is re-tagged
+  console.log('\n  Step 6/6: Tagging topics...');
+  const topics = tagTopics([...known.values()], taxonomy);
+
+  const videos = [...known.values()].sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+  const withTranscripts = videos.filter(v => v.transcriptAvailable);
+  const totalWords = withTranscripts.reduce((sum, v) => sum + v.wordCount, 0);
   const db = {
     metadata: {
-      channelUrl: `https://www.youtube.com/@${CHANNEL_HANDLE}`,
-      channelTitle: channel.snippet.title,
       collectedAt: new Date().toISOString(),
-      totalVideos: videoDetails.length,
-      withTranscripts: ok,
-      failedTranscripts: fail,
+      sources: sources.map(source => {
+        const own = videos.filter(v => v.source === source.id);
+        return {
+          id: source.id,
+          type: source.type,
+          label: source.label,
+          url: source.url,
+          lastListedAt: source.lastListedAt,
+          totalVideos: own.length,
+          withTranscripts: own.filter(v => v.transcriptAvailable).length,
+        };
+      }),
+      totalVideos: videos.length,
+      withTranscripts: withTranscripts.length,
+      failedTranscripts: videos.length - withTranscripts.length,
       totalWords,
+      topics,
     },
-    videos: videos.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt)),
+    videos,
   };
 
-  fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
-  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(db, null, 2));
+  const size = writeDatabase(db, touched);
+  fs.rmSync(CHECKPOINT_PATH, { force: true });
+  writeIndex(db.videos);
+  await writeVectors(db.videos);
 
+  reportFailures(videos);
   console.log('\n══════════════════════════════════════════════');
-  console.log(`  DONE: ${ok} transcripts | ${totalWords.toLocaleString()} words | ${(Buffer.byteLength(JSON.stringify(db))/1048576).toFixed(1)} MB`);
+  console.log(`  DONE: +${ok} transcripts (${fail} failed) | ${withTranscripts.length} total | ${totalWords.toLocaleString()} words | manifest ${(size.manifest/1024).toFixed(0)} KB + ${withTranscripts.length} shards ${(size.shards/1048576).toFixed(1)} MB`);
+  console.log(`  YouTube API quota used: ${yt.quota.used}/${yt.quota.budget} units`);
   console.log('══════════════════════════════════════════════\n');
 }
 
+/**
+ * Fill in `profile` for transcribed videos touched this run or profiled by
+ * a different extractor setup — or all of them. A video whose extractors
+ * all fail keeps what it had.
+ */
+async function extractProfiles(videos, { touched = new Map(), all = false } = {}) {
+  let extractors;
+  try {
+    extractors = extractorsFromEnv();
+  } catch (e) {
+    // Profiles are extras — the rest of the corpus is still good
+    console.error(`  Profile extraction skipped: ${e.message}`);
+    return;
+  }
+  const signature = extractorSignature(extractors);
+  const queue = videos.filter(v => v.transcriptAvailable && (all || touched.has(v.id) || v.profile?.extractedBy !== signature));
+  console.log(`  Profiling ${queue.length} videos with ${signature}...`);
+
+  let failed = 0;
+  await mapPool(queue, EXTRACT_CONCURRENCY, async v => {
+    const { profile, errors } = await extractProfile(v, extractors);
+    if (errors.length) console.log(`  ✗ ${v.title.slice(0, 55)}... (${errors.join('; ')})`);
+    if (errors.length === extractors.length) { failed++; return; }
+    v.profile = profile;
+  });
+
+  const profiled = videos.filter(v => v.transcriptAvailable && v.profile);
+  const has = field => profiled.filter(v => v.profile[field] != null).length;
+  console.log(`  Profiles: ${profiled.length} videos${failed ? ` (${failed} failed)` : ''} | ${has('founder')} founders, ${has('businessModel')} business models, ${profiled.filter(v => v.profile.mrr != null || v.profile.arr != null).length} revenue figures, ${has('funding')} funding`);
+}
+
+/**
+ * Tag videos with taxonomy topics and clusters. Returns every topic with
+ * its video count, for the manifest: [{ id, label, query, kind, count }]
+ */
+function tagTopics(videos, taxonomy) {
+  tagVideos(videos, taxonomy);
+  const clusters = TOPIC_CLUSTERS > 0 ? clusterVideos(videos, TOPIC_CLUSTERS) : [];
+  const topics = [...taxonomy.map(({ id, label, query }) => ({ id, label, query, kind: 'rule' })), ...clusters]
+    .map(t => ({ ...t, count: videos.filter(v => v.topics?.includes(t.id)).length }));
+  const tagged = videos.filter(v => v.topics?.length).length;
+  console.log(`  Topics: ${tagged}/${videos.filter(v => v.transcriptAvailable).length} videos tagged | ${topics.map(t => `${t.label} ${t.count}`).join(', ')}`);
+  return topics;
+}
+
+/**
+ * Videos still without a transcript, grouped by why
+ */
+function reportFailures(videos) {
+  const byReason = new Map();
+  for (const v of videos.filter(v => !v.transcriptAvailable)) {
+    const reason = v.transcriptFailure || 'other';
+    if (!byReason.has(reason)) byReason.set(reason, []);
+    byReason.get(reason).push(v);
+  }
+  if (!byReason.size) return;
+  console.log('\n  Missing transcripts by reason:');
+  for (const [reason, list] of [...byReason].sort((a, b) => b[1].length - a[1].length)) {
+    const gaveUp = list.filter(v => (v.transcriptAttempts || 0) >= MAX_TRANSCRIPT_ATTEMPTS).length;
+    console.log(`    ${reason.padEnd(18)} ${String(list.length).padStart(4)}${gaveUp ? ` (${gaveUp} given up)` : ''}  e.g. ${list.slice(0, 3).map(v => v.id).join(', ')}`);
+  }
+}
+
+/**
+ * Write the manifest and transcript shards (see src/lib/shards.js). Only
+ * shards of videos touched this run, or missing on disk, are rewritten;
+ * shards of videos no longer in the corpus are removed. Returns sizes in bytes.
+ */
+function writeDatabase(db, touched) {
+  const shardDir = path.join(DATA_DIR, 'transcripts');
+  fs.mkdirSync(shardDir, { recursive: true });
+  const keep = new Set();
+  let shards = 0;
+  const videos = db.videos.map(video => {
+    const { meta, shard } = splitVideo(video);
+    if (!video.transcriptAvailable) return meta;
+    const file = path.join(DATA_DIR, shardPath(video.id));
+    keep.add(path.basename(file));
+    if (touched.has(video.id) || !fs.existsSync(file)) {
+      fs.writeFileSync(file, zlib.gzipSync(JSON.stringify(shard), { level: 9 }));
+    }
+    shards += fs.statSync(file).size;
+    return meta;
+  });
+  for (const name of fs.readdirSync(shardDir)) {
+    if (!keep.has(name)) fs.rmSync(path.join(shardDir, name));
+  }
+
+  const manifest = JSON.stringify({ version: MANIFEST_VERSION, metadata: db.metadata, videos });
+  fs.writeFileSync(MANIFEST_PATH, manifest);
+  // Everything that was in the old single-file database now lives here
+  fs.rmSync(LEGACY_PATH, { force: true });
+  return { manifest: Buffer.byteLength(manifest), shards };
+}
+
+function writeIndex(videos) {
+  const index = buildIndex(videos.filter(v => v.transcriptAvailable));
+  fs.writeFileSync(INDEX_PATH, JSON.stringify(index));
+  console.log(`  Index: ${Object.keys(index.postings).length.toLocaleString()} terms over ${index.docCount} videos`);
+}
+
+async function writeVectors(videos) {
+  try {
+    const embedder = embedderFromEnv();
+    if (!embedder) {
+      // No stale vectors from an earlier setup either — the site hides semantic search without them
+      fs.rmSync(VECTORS_PATH, { force: true });
+      console.log('  Semantic search off — set EMBEDDINGS_PROVIDER to embed passages');
+      return;
+    }
+    const passages = videos.filter(v => v.transcriptAvailable).flatMap(v => splitPassages(v));
+    console.log(`  Embedding ${passages.length} passages with ${embedder.name}/${embedder.model}...`);
+    if (embedder.name === 'hash') console.log('  ⚠ The hash embedder is a test stub — use openai or local for real semantic search');
+    const vectors = [];
+    for (let i = 0; i < passages.length; i += EMBED_BATCH) {
+      vectors.push(...await embedder.embed(passages.slice(i, i + EMBED_BATCH).map(p => p.text)));
+    }
+    fs.writeFileSync(VECTORS_PATH, JSON.stringify(encodeVectors(embedder, passages, vectors)));
+    console.log(`  Vectors: ${passages.length} passages × ${embedder.dimensions} dims`);
+  } catch (e) {
+    // Keyword search still works without vectors
+    console.error(`  Embedding skipped: ${e.message}`);
+  }
+}
+
 function ensureOutput(meta) {
-  fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
-  if (!fs.existsSync(OUTPUT_PATH)) {
-    fs.writeFileSync(OUTPUT_PATH, JSON.stringify({
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  if (!fs.existsSync(MANIFEST_PATH) && !fs.existsSync(LEGACY_PATH)) {
+    fs.writeFileSync(MANIFEST_PATH, JSON.stringify({
+      version: MANIFEST_VERSION,
       metadata: { collectedAt: new Date().toISOString(), totalVideos: 0, withTranscripts: 0, totalWords: 0, ...meta },
       videos: [],
     }));
@@ -171,5 +553,6 @@ function ensureOutput(meta) {
 
 collect().catch(err => {
   console.error('Collection failed:', err.message);
+  console.error(`  YouTube API quota used: ${yt.quota.used}/${yt.quota.budget} units`);
   ensureOutput({ status: 'error', message: err.message });
 });
@@ -0,0 +1,173 @@
+/**
+ * Export from the collected corpus, same files as the site's export buttons:
+ *
+ *   node scripts/export.mjs results "<query>" [--format csv|json] [--sort newest] [--source <id>] [--limit <n>]
+ *   node scripts/export.mjs answer "<question>" [--source <id>]
+ *   node scripts/export.mjs transcript <video id>
+ *
+ * Output goes to stdout, or to the file given with --out. --data reads a
+ * different data directory or a transcripts.json instead of public/data.
+ * `answer` asks the LLM configured the same way as the site (LLM_PROVIDER
+ * and its API key).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { openCorpus } from '../src/lib/corpus.js';
+import { parseQuery, searchIndex, sortHits, SORTS, extractExcerpt, selectPassages, splitPassages, videoSource, PARAGRAPH_WORDS } from '../src/lib/search.js';
+import { llmFromEnv } from '../src/lib/llm.js';
+import { buildMessages, buildSources, CONTEXT_TOKENS } from '../src/lib/prompts.js';
+import { extractCitations } from '../src/lib/citations.js';
+import { resultsToCsv, resultsToJson, answerToMarkdown, transcriptToMarkdown } from '../src/lib/exporters.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_DATA = path.join(__dirname, '..', 'public', 'data');
+
+export const FORMATS = ['csv', 'json'];
+
+/**
+ * The corpus narrowed to one source's videos, if `source` is given
+ */
+export function sourceVideos(corpus, source) {
+  return source
+    ? new Map([...corpus.videosById].filter(([, v]) => videoSource(v) === source))
+    : corpus.videosById;
+}
+
+/**
+ * Every match for a keyword query, ordered: { parsed, hits: [{ id, score }],
+ * videosById }
+ */
+export function rankResults(corpus, query, { sort = 'relevance', source } = {}) {
+  if (!SORTS.includes(sort)) throw new Error(`Unknown sort: ${sort} (use ${SORTS.join(', ')})`);
+  const videosById = sourceVideos(corpus, source);
+  const parsed = parseQuery(query);
+  const hits = sortHits(searchIndex(corpus.index, parsed, videosById).filter(hit => videosById.has(hit.id)), videosById, sort);
+  return { parsed, hits, videosById };
+}
+
+/**
+ * Ranked keyword results as the site shows them: videos with `score`,
+ * `excerpt` and `excerptTimestamp`
+ */
+export function searchResults(corpus, query, { limit = Infinity, ...options } = {}) {
+  const { parsed, hits, videosById } = rankResults(corpus, query, options);
+  return hits.slice(0, limit).map(hit => withExcerpt(videosById.get(hit.id), hit.score, parsed));
+}
+
+export function withExcerpt(video, score, parsed) {
+  const excerpt = extractExcerpt(video.transcript, parsed, 350, video.segments);
+  return { ...video, score, excerpt: excerpt.text, excerptTimestamp: excerpt.timestamp };
+}
+
+export function exportResults(corpus, query, { format = 'csv', ...options } = {}) {
+  if (!FORMATS.includes(format)) throw new Error(`Unknown format: ${format} (use ${FORMATS.join(', ')})`);
+  const results = searchResults(corpus, query, options);
+  return format === 'csv' ? resultsToCsv(results) : resultsToJson(results, { query, sort: options.sort });
+}
+
+/**
+ * Ask the LLM and return { question, answer, citations, sources } — the
+ * answer's citations checked against the passages it was given. `onToken`
+ * sees the answer as it streams in.
+ */
+export async function askQuestion(corpus, question, { source, signal, onToken } = {}) {
+  const llm = llmFromEnv();
+  const groups = selectPassages(corpus.index, sourceVideos(corpus, source), question, { maxTokens: CONTEXT_TOKENS });
+  if (!groups.length) throw new Error('No relevant interviews found for this question. Try different keywords.');
+  const sources = buildSources(groups);
+  let text = '';
+  for await (const delta of await llm.stream(buildMessages(question, groups), { signal })) {
+    text += delta;
+    onToken?.(delta);
+  }
+  const { answer, citations } = extractCitations(text || 'No response generated.', sources);
+  return { question, answer, citations, sources };
+}
+
+export async function exportAnswer(corpus, question, options) {
+  return answerToMarkdown([await askQuestion(corpus, question, options)]);
+}
+
+export function exportTranscript(corpus, id) {
+  const video = corpus.videosById.get(id);
+  if (!video) throw new Error(`No transcribed interview with id ${id}`);
+  const topicLabels = new Map((corpus.database.metadata?.topics || []).map(t => [t.id, t.label]));
+  return transcriptToMarkdown(video, splitPassages(video, PARAGRAPH_WORDS), topicLabels);
+}
+
+export const EXPORTS = ['results', 'answer', 'transcript'];
+
+/**
+ * One export as text: `kind` is one of EXPORTS, `arg` its query, question or
+ * video id, `flags` the command-line options
+ */
+export async function runExport(corpus, kind, arg, flags = {}) {
+  if (kind === 'results') {
+    const limit = flags.limit ? parseInt(flags.limit, 10) : undefined;
+    return exportResults(corpus, arg, { format: flags.format, sort: flags.sort, source: flags.source, limit });
+  }
+  if (kind === 'answer') return exportAnswer(corpus, arg, { source: flags.source });
+  if (kind === 'transcript') return exportTranscript(corpus, arg);
+  throw new Error(`Unknown export: ${kind} (use ${EXPORTS.join(', ')})`);
+}
+
+/**
+ * Write to the file `out`, or stdout without one
+ */
+export function writeOutput(output, out) {
+  if (out) {
+    fs.writeFileSync(out, output);
+    console.error(`✓ Wrote ${out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+/**
+ * Split argv into positional arguments and --flag values; flags named in
+ * `booleans` take no value. Throws if any other flag is missing its value.
+ */
+export function parseArgs(argv, booleans = []) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!m) positional.push(argv[i]);
+    else if (m[2] != null) flags[m[1]] = m[2];
+    else if (booleans.includes(m[1])) flags[m[1]] = true;
+    else if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) throw new Error(`Missing value for --${m[1]}`);
+    else flags[m[1]] = argv[++i];
+  }
+  return { positional, flags };
+}
+
+// ─── Command line ───────────────────────────────────────────────
+
+const USAGE = `Usage:
+  node scripts/export.mjs results "<query>" [--format csv|json] [--sort ${SORTS.join('|')}] [--source <id>] [--limit <n>]
+  node scripts/export.mjs answer "<question>" [--source <id>]
+  node scripts/export.mjs transcript <video id>
+
+Options:
+  --out <file>    write to a file instead of stdout
+  --data <path>   data directory or transcripts.json (default public/data)`;
+
+async function main() {
+  const { positional: [command, ...rest], flags } = parseArgs(process.argv.slice(2));
+  const arg = rest.join(' ').trim();
+  if (!command || !arg || !EXPORTS.includes(command)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const corpus = openCorpus(flags.data || DEFAULT_DATA);
+  writeOutput(await runExport(corpus, command, arg, flags), flags.out);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error(`✗ ${err.message}`);
+    process.exit(1);
+  });
+}
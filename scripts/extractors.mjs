@@ -0,0 +1,262 @@
+import { llmFromEnv, complete } from '../src/lib/llm.js';
+import { BUSINESS_MODELS, FUNDING, normalizeProfile } from '../src/lib/profile.js';
+
+/**
+ * Profile extractors — structured founder and company facts (see
+ * src/lib/profile.js) behind one interface:
+ *
+ *   { name, version, extract(video) }
+ *
+ * `extract` resolves to a partial profile; fields it can't find are null.
+ *
+ *   rules  regular expressions over the title, description and transcript —
+ *          offline and instant, but only catches common phrasings
+ *   llm    asks the chat model configured for AI search (LLM_PROVIDER etc.)
+ *          to read the interview and answer in JSON
+ *
+ * EXTRACTORS lists them in priority order, comma-separated (default
+ * "rules"): each field comes from the first extractor that found it.
+ */
+
+export function createExtractor(name, options = {}) {
+  switch (name) {
+    case 'rules':
+      return rules();
+    case 'llm':
+      return llm(options);
+    default:
+      throw new Error(`Unknown extractor: ${name}`);
+  }
+}
+
+/**
+ * Extractors from EXTRACTORS, plus EXTRACT_MAX_CHARS (transcript characters
+ * the llm extractor reads, default 12000)
+ */
+export function extractorsFromEnv(env = process.env) {
+  const names = (env.EXTRACTORS || 'rules').split(',').map(s => s.trim()).filter(Boolean);
+  const maxChars = env.EXTRACT_MAX_CHARS ? parseInt(env.EXTRACT_MAX_CHARS, 10) : undefined;
+  return names.map(name => createExtractor(name, { env, maxChars }));
+}
+
+/**
+ * Identifies an extractor setup, e.g. "rules@1+llm@openai/gpt-4o" — profiles
+ * record it so a different setup re-extracts them
+ */
+export function extractorSignature(extractors) {
+  return extractors.map(e => `${e.name}@${e.version}`).join('+');
+}
+
+/**
+ * Run every extractor over one video and merge the results. An extractor
+ * that fails is reported in `errors` and the others' fields are kept.
+ */
+export async function extractProfile(video, extractors) {
+  const merged = {};
+  const errors = [];
+  for (const extractor of extractors) {
+    try {
+      const found = normalizeProfile(await extractor.extract(video));
+      for (const [key, value] of Object.entries(found)) {
+        if (merged[key] == null && value != null) merged[key] = value;
+      }
+    } catch (err) {
+      errors.push(`${extractor.name}: ${err.message}`);
+    }
+  }
+  return { profile: { ...normalizeProfile(merged), extractedBy: extractorSignature(extractors) }, errors };
+}
+
+// ─── Rules ──────────────────────────────────────────────────────
+
+// Bump when the rules change, so profiles are re-extracted
+const RULES_VERSION = 2;
+
+const UNITS = { k: 1e3, thousand: 1e3, grand: 1e3, m: 1e6, mm: 1e6, million: 1e6, b: 1e9, billion: 1e9 };
+const NUM = String.raw`(\d[\d,]*(?:\.\d+)?)\s?(k|mm|m|b|thousand|million|billion|grand)?\b`;
+const WORD_NUMBERS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, forty: 40, fifty: 50, hundred: 100,
+};
+const COUNT = `(\\d[\\d,]*|${Object.keys(WORD_NUMBERS).join('|')})`;
+
+// "$30K/month", "$1.2 million a year", "10k MRR", "MRR of $8,000" — the
+// flag says whether the amount comes before the period in the match
+const REVENUE_PATTERNS = [
+  [new RegExp(String.raw`\$\s?${NUM}\s*(?:\/\s*|per\s+|a\s+|an\s+|each\s+|every\s+)?(month|mo|year|yr)\b`, 'gi'), true],
+  [new RegExp(String.raw`\$\s?${NUM}\s*(?:in\s+)?(monthly|annual|yearly)\s+(?:revenue|sales|recurring)`, 'gi'), true],
+  [new RegExp(String.raw`\$?\s?${NUM}\s*(?:in\s+)?(mrr|arr)\b`, 'gi'), true],
+  [new RegExp(String.raw`\b(mrr|arr)\s+(?:of\s+|is\s+|at\s+)?(?:about\s+|around\s+)?\$\s?${NUM}`, 'gi'), false],
+  [new RegExp(String.raw`${NUM}\s*dollars\s*(?:a|per|each|every)\s+(month|year)\b`, 'gi'), true],
+];
+const REVENUE_CUE = /(revenue|mak(?:e|es|ing)|made|doing|does|generat|bring(?:s|ing)? in|brought in|earn|sales|sell|profit|mrr|arr|turnover|run rate|business|company)/i;
+const EXPENSE_CUE = /(spend|spent|cost|pay|paid|charg|pric|salary|rent|budget|subscription|plan|fee)\w*\s*(?:\w+\s*){0,3}$/i;
+const FUTURE_CUE = /(want|goal|hope|plan|target|dream|would|could|someday|eventually|aim)/i;
+
+const TEAM_PATTERNS = [
+  new RegExp(`\\b(?:team|staff) of\\s+(?:about\\s+|around\\s+)?${COUNT}\\b`, 'gi'),
+  new RegExp(`\\b${COUNT}\\s+(?:full[- ]time\\s+|part[- ]time\\s+)?(?:employees|team members|staff members|people on (?:the|our|my) team|people working (?:for|with) (?:me|us))\\b`, 'gi'),
+];
+const SOLO = /\b(solo ?founder|solopreneur|one[- ](?:person|man|woman) (?:business|company|team|show)|by myself|just me)\b/i;
+
+const STARTUP_COST_PATTERNS = [
+  new RegExp(String.raw`\b(?:start(?:ed)?\s+(?:it\s+|this\s+|the\s+(?:business|company)\s+)?with|startup\s+costs?\s+(?:of|were|was)|initial\s+investment\s+(?:of|was)|invested|put\s+in|to\s+start\s+(?:it\s+)?(?:cost|was))\s+(?:about\s+|around\s+|roughly\s+|only\s+|just\s+|less\s+than\s+)?\$\s?${NUM}(?!\s*(?:\/|per\s|a\s|an\s)\s*(?:month|mo|year))`, 'i'),
+  new RegExp(String.raw`\$\s?${NUM}\s+to\s+(?:start|get\s+started|launch)\b`, 'i'),
+];
+
+const BOOTSTRAPPED = /\b(bootstrap\w*|self[- ]funded|no (?:outside )?(?:funding|investors|vc)|never raised|without (?:any )?(?:outside )?(?:funding|investors|investment|vc))\b/gi;
+const FUNDED = /\b(raised (?:a |an |our |about |over )?(?:\$\s?[\d.,]+\s?(?:k|m|million)?|seed|series [a-d]|pre-?seed|round|money|capital|funding)|venture[- ]backed|vc[- ]backed|y ?combinator|seed round|series [a-d] round|angel investors?)\b/gi;
+
+const MODEL_PATTERNS = {
+  saas: /\b(saas|software[- ]as[- ]a[- ]service|subscription software|b2b software|chrome extension|web app|software (?:company|business|product))\b/gi,
+  ecommerce: /\b(e-?commerce|shopify|online store|dtc|d2c|direct[- ]to[- ]consumer|amazon fba|dropshipping|etsy|print[- ]on[- ]demand)\b/gi,
+  agency: /\b(agency|agencies)\b/gi,
+  marketplace: /\b(marketplace|two[- ]sided)\b/gi,
+  app: /\b(mobile app|ios app|android app|iphone app|app store|play store)\b/gi,
+  content: /\b(newsletter|youtube channel|podcast|blog(?:ging)?|media (?:company|business)|sponsorships?)\b/gi,
+  education: /\b(online courses?|cohort|coaching|bootcamp|info ?products?)\b/gi,
+  services: /\b(freelanc\w*|consult(?:ing|ancy)|done[- ]for[- ]you|service business)\b/gi,
+  physical: /\b(restaurant|coffee shop|food truck|gym|salon|retail store|brick[- ]and[- ]mortar|franchise|cleaning business|lawn care|car wash)\b/gi,
+};
+
+// Names and companies need capitals, so only descriptions and cased captions
+const NAME = String.raw`([A-Z][a-z]+(?:\s+[A-Z][a-z'’-]+){1,2})`;
+const COMPANY = String.raw`([A-Z0-9][\w&.'’-]*(?:\s+[A-Z0-9][\w&.'’-]*){0,3})`;
+const FOUNDER_OF = new RegExp(`${NAME},?\\s+(?:is\\s+)?(?:the\\s+|a\\s+)?(?:[Cc]o-?)?[Ff]ounder\\s+(?:and\\s+CEO\\s+)?(?:of|behind|at)\\s+${COMPANY}`);
+const FOUNDER_CUES = [
+  new RegExp(`(?:[Ii]nterview(?:ed|ing)?|[Mm]eet|[Tt]alk(?:ed|ing)?\\s+(?:to|with)|[Ss]at\\s+down\\s+with|[Cc]hat(?:ted|ting)?\\s+with)\\s+${NAME}`),
+  new RegExp(`[Mm]y\\s+name(?:\\s+is|'s|’s)\\s+${NAME}`),
+];
+const COMPANY_CUES = [
+  new RegExp(`(?:[Ff]ounder|CEO|[Cc]reator|[Oo]wner)\\s+of\\s+${COMPANY}`),
+  new RegExp(`(?:company|business|brand|startup|app|agency|store|shop)\\s+(?:is\\s+)?called\\s+${COMPANY}`),
+];
+const NOT_NAMES = new Set(['The', 'This', 'That', 'A', 'An', 'How', 'Why', 'What', 'Our', 'My', 'His', 'Her', 'Their', 'Founder', 'Starter']);
+// Capitalized words that open a sentence before the name: "Meet John Smith, founder of..."
+const LEADING = /^(?:(?:Meet|Interview(?:ed|ing)?|Today|Introducing|Welcome|Featuring|Episode|Guest|Here|Hi|Hey|Listen|Watch|Join|Congrats)\s+)+/;
+const TRAILING = /(?:\s+(?:And|The|In|On|With|Who|Which|That|I|We|He|She|It))+$/;
+
+function dollars(num, unit) {
+  return parseFloat(num.replace(/,/g, '')) * (UNITS[unit?.toLowerCase()] || 1);
+}
+
+function count(word) {
+  const lower = word.toLowerCase();
+  return WORD_NUMBERS[lower] ?? parseInt(lower.replace(/,/g, ''), 10);
+}
+
+/**
+ * Revenue figures as { monthly, yearly } — headline figures count as they
+ * are; transcript ones need a revenue word just before them and no talk of
+ * costs, prices or goals
+ */
+function findRevenue(text, headline) {
+  const found = { monthly: [], yearly: [] };
+  for (const [re, amountFirst] of REVENUE_PATTERNS) {
+    for (const m of text.matchAll(re)) {
+      const groups = m.slice(1);
+      const [num, unit] = amountFirst ? groups : groups.slice(1);
+      const period = (amountFirst ? groups[2] : groups[0]).toLowerCase();
+      const before = text.slice(Math.max(0, m.index - 60), m.index);
+      if (EXPENSE_CUE.test(before) || FUTURE_CUE.test(before.slice(-30))) continue;
+      if (!headline && !REVENUE_CUE.test(before + m[0])) continue;
+      const yearly = /^(year|yr|annual|yearly|arr)$/.test(period);
+      found[yearly ? 'yearly' : 'monthly'].push(dollars(num, unit));
+    }
+  }
+  return found;
+}
+
+function findModel(headline, transcript) {
+  let best = null, bestScore = 0;
+  for (const [model, re] of Object.entries(MODEL_PATTERNS)) {
+    const score = (headline.match(re)?.length || 0) * 5 + Math.min(transcript.match(re)?.length || 0, 10);
+    if (score > bestScore) { best = model; bestScore = score; }
+  }
+  return bestScore >= 3 ? best : null;
+}
+
+function firstMatch(patterns, ...texts) {
+  for (const text of texts) {
+    for (const re of patterns) {
+      const m = text.match(re);
+      if (m) return m;
+    }
+  }
+  return null;
+}
+
+function cleanName(name) {
+  const words = (name || '').replace(LEADING, '').split(/\s+/);
+  return words.length > 1 && !NOT_NAMES.has(words[0]) ? words.join(' ') : null;
+}
+
+function rules() {
+  return {
+    name: 'rules',
+    version: RULES_VERSION,
+    async extract(video) {
+      const headline = `${video.title || ''}\n${video.description || ''}`;
+      const transcript = video.transcript || '';
+
+      const founderOf = firstMatch([FOUNDER_OF], video.description || '', transcript);
+      const founder = cleanName(founderOf?.[1]) || cleanName(firstMatch(FOUNDER_CUES, video.description || '', transcript)?.[1]);
+      const company = (founderOf?.[2] || firstMatch(COMPANY_CUES, video.description || '', transcript)?.[1])?.replace(TRAILING, '').replace(/[.,]+$/, '');
+
+      // Headline figures win; transcripts mention many numbers, so take the largest qualified one
+      const top = findRevenue(headline, true);
+      const said = findRevenue(transcript, false);
+      const pick = (a, b) => a.length ? a[0] : b.length ? Math.max(...b) : null;
+      const mrr = pick(top.monthly, top.yearly.length ? [] : said.monthly);
+      const arr = pick(top.yearly, top.monthly.length ? [] : said.yearly);
+
+      const teams = TEAM_PATTERNS.flatMap(re => [...`${headline}\n${transcript}`.matchAll(re)].map(m => count(m[1])));
+      const teamSize = teams.length ? Math.max(...teams) : SOLO.test(headline) ? 1 : null;
+
+      const cost = firstMatch(STARTUP_COST_PATTERNS, headline, transcript);
+      const startupCost = cost ? dollars(cost[1], cost[2]) : null;
+
+      const text = `${headline}\n${transcript}`;
+      const bootstrapped = text.match(BOOTSTRAPPED)?.length || 0;
+      const funded = text.match(FUNDED)?.length || 0;
+      const funding = funded > bootstrapped ? 'funded' : bootstrapped ? 'bootstrapped' : null;
+
+      return { founder, company, businessModel: findModel(headline, transcript), mrr, arr, teamSize, startupCost, funding };
+    },
+  };
+}
+
+// ─── LLM ────────────────────────────────────────────────────────
+
+const SYSTEM_PROMPT = `You extract facts from founder interviews. Reply with one JSON object and nothing else, with these keys:
+
+founder       the interviewed founder's full name
+company       the company or product name
+businessModel one of: ${Object.keys(BUSINESS_MODELS).join(', ')}
+mrr           current monthly revenue in US dollars
+arr           current annual revenue in US dollars
+teamSize      people working in the business, founders included
+startupCost   US dollars it took to start the business
+funding       "${Object.keys(FUNDING).join('" or "')}"
+
+Only use what the interview states. Use null for anything it doesn't say. Write numbers as plain numbers: 25000, not "$25k".`;
+
+function llm({ env = process.env, maxChars = 12000 }) {
+  const model = llmFromEnv(env);
+  return {
+    name: 'llm',
+    version: `${model.name}/${model.model}`,
+    async extract(video) {
+      const answer = await complete(model, [
+        { role: 'system', content: SYSTEM_PROMPT },
+        {
+          role: 'user',
+          content: `Title: ${video.title}\nChannel: ${video.channelTitle || ''}\nDescription: ${video.description || ''}\n\nTranscript:\n${(video.transcript || '').slice(0, maxChars)}`,
+        },
+      ]);
+      const json = answer.match(/\{[\s\S]*\}/);
+      if (!json) throw new Error('No JSON in the answer');
+      return JSON.parse(json[0]);
+    },
+  };
+}
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+/**
+ * founder-wisdom — search and ask the collected corpus from the terminal
+ *
+ *   founder-wisdom search "<query>" [--sort newest] [--source <id>] [--limit <n>]
+ *   founder-wisdom ask "<question>" [--source <id>]
+ *   founder-wisdom show <video id> [--find "<terms>"]
+ *   founder-wisdom stats
+ *   founder-wisdom export results|answer|transcript <arg> [...]   (see scripts/export.mjs)
+ *
+ * Queries use the site's syntax ("cold email" -ads source:starterstory mrr:>10k).
+ * --json prints machine-readable output instead, for piping into other
+ * tools; --data reads another data directory or a transcripts.json. Colors
+ * are off when stdout isn't a terminal, with --no-color or NO_COLOR set.
+ * `ask` uses the LLM configured as for the site (LLM_PROVIDER and its key).
+ */
+
+import { openCorpus } from '../src/lib/corpus.js';
+import {
+  SORTS, PARAGRAPH_WORDS, splitPassages, highlightSpans, watchUrl, formatTimestamp, formatNumber, formatDate, videoSource, corpusSources,
+} from '../src/lib/search.js';
+import { profileFacts, BUSINESS_MODELS } from '../src/lib/profile.js';
+import {
+  DEFAULT_DATA, EXPORTS, rankResults, withExcerpt, askQuestion, runExport, writeOutput, parseArgs,
+} from './export.mjs';
+
+const DEFAULT_LIMIT = 10;
+
+function fail(err) {
+  if (err.name === 'AbortError') process.exit(130);
+  console.error(`✗ ${err.message}`);
+  process.exit(1);
+}
+
+let args;
+try {
+  args = parseArgs(process.argv.slice(2), ['json', 'no-color', 'help']);
+} catch (err) {
+  fail(err);
+}
+const { positional: [command, ...rest], flags } = args;
+const JSON_OUT = !!flags.json;
+
+// ─── Terminal output ────────────────────────────────────────────
+
+const COLOR = !JSON_OUT && process.stdout.isTTY && !flags['no-color'] && !process.env.NO_COLOR;
+const ansi = code => text => COLOR ? `\x1b[${code}m${text}\x1b[0m` : String(text);
+const bold = ansi('1');
+const dim = ansi('2');
+const match = ansi('1;33');
+const accent = ansi('33');
+const link = ansi('36');
+
+const WIDTH = Math.min(process.stdout.columns || 100, 110);
+
+// Piped into `head` and the like, stop quietly once the reader is done
+process.stdout.on('error', err => {
+  if (err.code === 'EPIPE') process.exit(0);
+  throw err;
+});
+
+function print(text = '') {
+  process.stdout.write(text + '\n');
+}
+
+function printJson(data) {
+  print(JSON.stringify(data, null, 2));
+}
+
+/**
+ * `text` with the query's matches highlighted
+ */
+function highlight(text, query, field) {
+  let out = '';
+  let pos = 0;
+  for (const [start, end] of highlightSpans(text, query, field)) {
+    out += text.slice(pos, start) + match(text.slice(start, end));
+    pos = end;
+  }
+  return out + text.slice(pos);
+}
+
+/**
+ * Word-wrap to the terminal, every line indented — color codes don't count
+ * towards the width
+ */
+function wrap(text, indent = 4) {
+  const pad = ' '.repeat(indent);
+  const visible = s => s.replace(/\x1b\[[0-9;]*m/g, '').length;
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && visible(line) + 1 + visible(word) > WIDTH - indent) {
+      lines.push(pad + line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(pad + line);
+  return lines.join('\n');
+}
+
+function videoLine(video) {
+  return [
+    video.channelTitle,
+    formatDate(video.publishedAt),
+    video.durationFormatted,
+    `${formatNumber(video.viewCount)} views`,
+    video.transcriptSource === 'asr' && 'auto-transcribed',
+  ].filter(Boolean).join(' · ');
+}
+
+function facts(video) {
+  return profileFacts(video).map(f => f.text).join(' · ');
+}
+
+// ─── Commands ───────────────────────────────────────────────────
+
+function search(corpus, query) {
+  const limit = parseInt(flags.limit || DEFAULT_LIMIT, 10);
+  const { parsed, hits, videosById } = rankResults(corpus, query, { sort: flags.sort, source: flags.source });
+  const results = hits.slice(0, limit).map(hit => withExcerpt(videosById.get(hit.id), hit.score, parsed));
+
+  if (JSON_OUT) {
+    return printJson({
+      query,
+      sort: flags.sort || 'relevance',
+      total: hits.length,
+      results: results.map(v => ({
+        id: v.id,
+        title: v.title,
+        url: v.url,
+        source: videoSource(v),
+        channelTitle: v.channelTitle || null,
+        publishedAt: v.publishedAt,
+        durationSeconds: v.durationSeconds,
+        viewCount: v.viewCount,
+        profile: v.profile || null,
+        score: Math.round(v.score * 1000) / 1000,
+        excerpt: { text: v.excerpt, timestamp: v.excerptTimestamp, url: watchUrl(v.url, v.excerptTimestamp) },
+      })),
+    });
+  }
+
+  if (!hits.length) return print(dim(`No matching interviews for "${query}"`));
+  print(dim(`${hits.length} matching interview${hits.length === 1 ? '' : 's'}${hits.length > limit ? `, top ${limit}` : ''}`));
+  print();
+  results.forEach((v, i) => {
+    print(`${accent(String(i + 1).padStart(2))}. ${bold(highlight(v.title, parsed, 'title'))}`);
+    print(wrap(dim(`${videoLine(v)} · score ${v.score.toFixed(2)}`)));
+    if (facts(v)) print(wrap(accent(facts(v))));
+    if (v.excerpt) print(wrap(highlight(v.excerpt, parsed)));
+    print(`    ${link(watchUrl(v.url, v.excerptTimestamp))}`);
+    print();
+  });
+}
+
+async function ask(corpus, question) {
+  const controller = new AbortController();
+  process.on('SIGINT', () => controller.abort());
+
+  if (!JSON_OUT) print(`${bold(question)}\n`);
+  const result = await askQuestion(corpus, question, {
+    source: flags.source,
+    signal: controller.signal,
+    onToken: JSON_OUT ? null : delta => process.stdout.write(delta),
+  });
+
+  if (JSON_OUT) {
+    const { answer, citations, sources } = result;
+    return printJson({ question, answer, citations, interviews: sources.map(({ id, title, url }) => ({ id, title, url })) });
+  }
+  print('\n');
+  if (!result.citations.length) return;
+  print(dim('Sources'));
+  for (const c of result.citations) {
+    const at = c.timestamp != null ? ` @ ${formatTimestamp(c.timestamp)}` : '';
+    print(`  ${accent(`[${c.ref}]`)} ${c.title}${dim(at)}  ${link(c.url)}`);
+  }
+}
+
+function show(corpus, id) {
+  const video = corpus.videosById.get(id);
+  if (!video) throw new Error(`No transcribed interview with id ${id}`);
+  const paragraphs = splitPassages(video, PARAGRAPH_WORDS);
+  const topicLabels = new Map((corpus.database.metadata?.topics || []).map(t => [t.id, t.label]));
+  const topics = (video.topics || []).map(t => topicLabels.get(t) || t);
+
+  if (JSON_OUT) {
+    const { transcript, segments, ...meta } = video;
+    return printJson({ ...meta, topics, paragraphs: paragraphs.map(({ timestamp, text }) => ({ timestamp, text })) });
+  }
+
+  print(bold(video.title));
+  print(dim(videoLine(video)));
+  if (facts(video)) print(accent(facts(video)));
+  if (topics.length) print(topics.map(t => `#${t}`).join(' '));
+  print(link(video.url));
+  if (video.description) print(`\n${wrap(dim(video.description), 0)}`);
+  print();
+
+  const find = flags.find?.trim();
+  for (const p of paragraphs) {
+    const stamp = p.timestamp != null ? formatTimestamp(p.timestamp).padStart(7) : ' '.repeat(7);
+    const text = wrap(find ? highlight(p.text, find) : p.text, 9).slice(9);
+    print(`${link(stamp)}  ${text}\n`);
+  }
+}
+
+function stats(corpus) {
+  const { database, videos } = corpus;
+  const meta = database.metadata || {};
+  const count = (list, key) => {
+    const counts = new Map();
+    for (const v of list) for (const k of [].concat(key(v) ?? [])) counts.set(k, (counts.get(k) || 0) + 1);
+    return [...counts].sort((a, b) => b[1] - a[1]);
+  };
+  const years = videos.map(v => new Date(v.publishedAt).getFullYear()).filter(Number.isFinite);
+  const topicLabels = new Map((meta.topics || []).map(t => [t.id, t.label]));
+  const data = {
+    collectedAt: meta.collectedAt || null,
+    totalVideos: (database.videos || []).length,
+    withTranscripts: videos.length,
+    totalWords: videos.reduce((sum, v) => sum + (v.wordCount || 0), 0),
+    hours: Math.round(videos.reduce((sum, v) => sum + (v.durationSeconds || 0), 0) / 360) / 10,
+    published: years.length ? { from: Math.min(...years), to: Math.max(...years) } : null,
+    sources: corpusSources(database).map(({ id, label, count }) => ({ id, label, count })),
+    transcriptSources: Object.fromEntries(count(videos, v => v.transcriptSource || 'youtube-captions')),
+    topics: count(videos, v => v.topics).map(([id, n]) => ({ id, label: topicLabels.get(id) || id, count: n })),
+    businessModels: count(videos, v => v.profile?.businessModel).map(([id, n]) => ({ id, label: BUSINESS_MODELS[id], count: n })),
+    withRevenue: videos.filter(v => v.profile?.mrr != null || v.profile?.arr != null).length,
+  };
+  if (JSON_OUT) return printJson(data);
+
+  const row = (label, value) => value && print(`  ${dim(label.padEnd(12))} ${value}`);
+  const list = items => items.map(i => `${i.label} ${accent(i.count)}`).join(dim(' · '));
+  print(bold('Founder Wisdom corpus') + (data.collectedAt ? dim(` — collected ${formatDate(data.collectedAt)}`) : ''));
+  print();
+  row('Interviews', `${accent(data.withTranscripts)} transcribed of ${data.totalVideos}`);
+  row('Words', `${accent(formatNumber(data.totalWords))} · ${data.hours} hours`);
+  row('Published', data.published && `${data.published.from} – ${data.published.to}`);
+  row('Sources', wrap(list(data.sources), 15).trimStart());
+  row('Transcripts', Object.entries(data.transcriptSources).map(([k, n]) => `${k} ${accent(n)}`).join(dim(' · ')));
+  row('Topics', data.topics.length && wrap(list(data.topics), 15).trimStart());
+  row('Models', data.businessModels.length && wrap(list(data.businessModels), 15).trimStart());
+  row('Revenue', data.withRevenue && `${accent(data.withRevenue)} interviews state their revenue`);
+}
+
+// ─── Main ───────────────────────────────────────────────────────
+
+const USAGE = `Usage: founder-wisdom <command> [options]
+
+Commands:
+  search "<query>"      keyword search, best matches first
+  ask "<question>"      an AI answer citing the interviews
+  show <video id>       one interview's details and transcript
+  stats                 what the corpus holds
+  export <kind> <arg>   ${EXPORTS.join(' | ')} — as scripts/export.mjs
+
+Options:
+  --json                machine-readable output
+  --sort <order>        search order: ${SORTS.join(', ')}
+  --source <id>         only interviews from one source
+  --limit <n>           search results to show (default ${DEFAULT_LIMIT})
+  --find "<terms>"      highlight terms in show
+  --format csv|json     export format for results
+  --out <file>          write an export to a file
+  --data <path>         data directory or transcripts.json (default public/data)
+  --no-color            plain text`;
+
+async function main() {
+  const arg = rest.join(' ').trim();
+  const needsArg = ['search', 'ask', 'show', 'export'];
+  const usable = command === 'stats'
+    || (needsArg.includes(command) && arg && (command !== 'export' || rest.length > 1));
+  if (flags.help || !usable) {
+    (flags.help ? console.log : console.error)(USAGE);
+    process.exit(flags.help ? 0 : 1);
+  }
+
+  const corpus = openCorpus(flags.data || DEFAULT_DATA);
+  if (command === 'search') search(corpus, arg);
+  else if (command === 'ask') await ask(corpus, arg);
+  else if (command === 'show') show(corpus, arg);
+  else if (command === 'stats') stats(corpus);
+  else writeOutput(await runExport(corpus, rest[0], rest.slice(1).join(' ').trim(), flags), flags.out);
+}
+
+main().catch(fail);
@@ -0,0 +1,209 @@
+import { tokenize, scanWords, buildIndex } from '../src/lib/search.js';
+
+/**
+ * Topic tagging. A taxonomy file (topics.json, or the file in COLLECT_TOPICS)
+ * lists the topics and the keywords that signal them:
+ *
+ *   { "topics": [
+ *     { "id": "pricing", "label": "Pricing", "query": "How to price a SaaS product?",
+ *       "keywords": ["pricing", "free trial", "raise prices"], "minMatches": 4 }
+ *   ] }
+ *
+ * Keywords match like searches do — stemmed, so "raise prices" also finds
+ * "raised our prices". A video gets a topic when its keywords turn up at
+ * least `minMatches` times (default 4), title and description matches
+ * counting triple; it keeps its MAX_TOPICS strongest.
+ *
+ * TOPIC_CLUSTERS=<k> adds k clusters found in the transcripts themselves —
+ * k-means over TF-IDF term vectors — labelled by their most distinctive
+ * words, for themes the taxonomy doesn't name.
+ */
+
+const DEFAULT_MIN_MATCHES = 4;
+const HEADLINE_WEIGHT = 3;
+const MAX_TOPICS = 5;
+
+/**
+ * Check a taxonomy file's topics and compile their keywords. Returns [] for
+ * a missing file.
+ */
+export function compileTaxonomy(config) {
+  const seen = new Set();
+  return (config?.topics || []).map((t, i) => {
+    if (!t.id || !t.label) throw new Error(`Topic ${i + 1} needs an id and a label`);
+    if (seen.has(t.id)) throw new Error(`Duplicate topic id: ${t.id}`);
+    seen.add(t.id);
+    if (!Array.isArray(t.keywords) || !t.keywords.length) throw new Error(`Topic ${t.id} needs keywords`);
+    // Keywords that stem alike would count twice
+    const phrases = new Map();
+    for (const keyword of t.keywords) {
+      const terms = tokenize(keyword);
+      // Numbers, stopwords and single letters aren't indexed, so "9 to 5" could never match
+      if (!terms.length) throw new Error(`Topic ${t.id}: keyword "${keyword}" has no searchable words`);
+      phrases.set(terms.join(' '), terms);
+    }
+    return { id: t.id, label: t.label, query: t.query || t.label, minMatches: t.minMatches ?? DEFAULT_MIN_MATCHES, phrases: [...phrases.values()] };
+  });
+}
+
+/**
+ * How often each topic's keywords occur in `text`: Map(topicId -> count)
+ */
+function countMatches(text, topics, byFirst) {
+  const terms = tokenize(text);
+  const counts = new Map();
+  for (let i = 0; i < terms.length; i++) {
+    for (const { topic, phrase } of byFirst.get(terms[i]) || []) {
+      let ok = true;
+      for (let j = 1; j < phrase.length && ok; j++) ok = terms[i + j] === phrase[j];
+      if (ok) counts.set(topic, (counts.get(topic) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Set `topics` (ids, strongest first) on every transcribed video
+ */
+export function tagVideos(videos, topics) {
+  const byFirst = new Map();
+  for (const topic of topics) {
+    for (const phrase of topic.phrases) {
+      if (!byFirst.has(phrase[0])) byFirst.set(phrase[0], []);
+      byFirst.get(phrase[0]).push({ topic: topic.id, phrase });
+    }
+  }
+  const minMatches = new Map(topics.map(t => [t.id, t.minMatches]));
+
+  for (const video of videos) {
+    if (!video.transcriptAvailable) continue;
+    const headline = countMatches(`${video.title || ''}\n${video.description || ''}`, topics, byFirst);
+    const body = countMatches(video.transcript || '', topics, byFirst);
+    video.topics = topics
+      .map(t => ({ id: t.id, score: (headline.get(t.id) || 0) * HEADLINE_WEIGHT + (body.get(t.id) || 0) }))
+      .filter(t => t.score >= minMatches.get(t.id))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_TOPICS)
+      .map(t => t.id);
+  }
+}
+
+// ─── Clustering ─────────────────────────────────────────────────
+
+const CLUSTER_ITERATIONS = 20;
+const CLUSTER_VOCABULARY = 3000;
+const LABEL_TERMS = 3;
+
+/**
+ * Group transcribed videos into `k` clusters and add each cluster's id to
+ * its members' `topics`. Returns the clusters as topics:
+ * [{ id, label, query, kind: 'cluster' }]. Deterministic for the same corpus.
+ */
+export function clusterVideos(videos, k) {
+  const docs = videos.filter(v => v.transcriptAvailable);
+  if (docs.length < k * 2) return [];
+  const index = buildIndex(docs);
+  const stride = index.fields.length + 1;
+
+  // Terms in enough videos to group by, but not so many they say nothing
+  const n = docs.length;
+  const vocab = Object.entries(index.postings)
+    .map(([term, list]) => ({ term, df: list.length / stride, list }))
+    .filter(t => t.df >= 3 && t.df <= n * 0.5 && !/\d/.test(t.term))
+    .sort((a, b) => b.df - a.df)
+    .slice(0, CLUSTER_VOCABULARY);
+
+  // Sparse, unit-length TF-IDF vectors: [[termIdx, weight], ...] per video
+  const vectors = docs.map(() => []);
+  vocab.forEach(({ df, list }, t) => {
+    const idf = Math.log(n / df);
+    for (let i = 0; i < list.length; i += stride) {
+      let tf = 0;
+      for (let f = 1; f < stride; f++) tf += list[i + f];
+      vectors[list[i]].push([t, (1 + Math.log(tf)) * idf]);
+    }
+  });
+  for (const v of vectors) {
+    const norm = Math.hypot(...v.map(([, w]) => w)) || 1;
+    for (const entry of v) entry[1] /= norm;
+  }
+  const dot = (sparse, dense) => sparse.reduce((sum, [t, w]) => sum + w * dense[t], 0);
+
+  // Seed with mutually distant videos, then refine (spherical k-means)
+  const centroids = [];
+  const seed = docIdx => {
+    const c = new Float64Array(vocab.length);
+    for (const [t, w] of vectors[docIdx]) c[t] = w;
+    centroids.push(c);
+  };
+  seed(0);
+  while (centroids.length < k) {
+    let far = 0, farSim = Infinity;
+    vectors.forEach((v, d) => {
+      const sim = Math.max(...centroids.map(c => dot(v, c)));
+      if (sim < farSim) { far = d; farSim = sim; }
+    });
+    seed(far);
+  }
+
+  let assignment = [];
+  for (let iter = 0; iter < CLUSTER_ITERATIONS; iter++) {
+    const next = vectors.map(v => {
+      let best = 0, bestSim = -Infinity;
+      centroids.forEach((c, i) => {
+        const sim = dot(v, c);
+        if (sim > bestSim) { best = i; bestSim = sim; }
+      });
+      return best;
+    });
+    const settled = next.every((c, d) => c === assignment[d]);
+    assignment = next;
+    if (settled) break;
+    centroids.forEach((c, i) => {
+      c.fill(0);
+      vectors.forEach((v, d) => { if (assignment[d] === i) for (const [t, w] of v) c[t] += w; });
+      const norm = Math.hypot(...c) || 1;
+      for (let t = 0; t < c.length; t++) c[t] /= norm;
+    });
+  }
+
+  // Label by the terms that weigh most in a cluster compared to all videos
+  const mean = new Float64Array(vocab.length);
+  for (const v of vectors) for (const [t, w] of v) mean[t] += w / n;
+
+  const clusters = [];
+  centroids.forEach((c, i) => {
+    const members = docs.filter((_, d) => assignment[d] === i);
+    if (members.length < 2) return;
+    const top = [...c.keys()]
+      .sort((a, b) => (c[b] - mean[b]) - (c[a] - mean[a]))
+      .slice(0, LABEL_TERMS)
+      .map(t => vocab[t].term);
+    const words = top.map(term => surfaceForm(term, members));
+    const id = `cluster-${clusters.length + 1}`;
+    for (const video of members) video.topics = [...(video.topics || []), id];
+    clusters.push({
+      id,
+      label: words.map((w, j) => j ? w : w[0].toUpperCase() + w.slice(1)).join(' · '),
+      query: words.join(' '),
+      kind: 'cluster',
+    });
+  });
+  return clusters;
+}
+
+/**
+ * The commonest way a stemmed term is written in some videos' transcripts
+ */
+function surfaceForm(term, videos) {
+  const seen = new Map();
+  for (const video of videos) {
+    const text = (video.transcript || '').slice(0, 50000);
+    for (const w of scanWords(text)) {
+      if (w.term !== term) continue;
+      const word = text.slice(w.start, w.end).toLowerCase();
+      seen.set(word, (seen.get(word) || 0) + 1);
+    }
+  }
+  return [...seen].sort((a, b) => b[1] - a[1])[0]?.[0] || term;
+}
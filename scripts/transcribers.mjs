@@ -0,0 +1,195 @@
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { captionFailure } from './youtube.mjs';
+
+/**
+ * Fallback transcribers for videos without captions, behind one interface:
+ *
+ *   { name, transcribe(video) }
+ *
+ * `transcribe` resolves to a caption-style track [{ text, offset, duration }]
+ * (seconds) or rejects if the video couldn't be transcribed.
+ *
+ *   none      no fallback — videos without captions stay untranscribed
+ *   command   downloads the audio and runs a local speech-to-text command
+ *             (whisper.cpp by default) on the CPU
+ *   fixtures  reads <dir>/<videoId>.json — for tests and offline runs
+ *
+ * fetchTranscript tries a video's captions first and falls back to one of
+ * these.
+ */
+
+const DEFAULT_DOWNLOAD = 'yt-dlp --quiet -x --audio-format wav --postprocessor-args "-ar 16000 -ac 1" -o {audio} {url}';
+const DEFAULT_ASR = 'whisper-cli -m {model} -f {audio} -oj -of {out}';
+
+export function createTranscriber(name = 'none', options = {}) {
+  switch (name) {
+    case 'none':
+      return null;
+    case 'command':
+      return command(options);
+    case 'fixtures':
+      if (!options.dir) throw new Error('The fixtures transcriber needs TRANSCRIBER_FIXTURES set to a directory');
+      return fixtures(options.dir);
+    default:
+      throw new Error(`Unknown transcriber: ${name}`);
+  }
+}
+
+/**
+ * Transcriber settings from environment variables: TRANSCRIBER, plus
+ * ASR_DOWNLOAD_COMMAND, ASR_COMMAND, ASR_MODEL, ASR_TIMEOUT_SECONDS for
+ * `command` and TRANSCRIBER_FIXTURES for `fixtures`
+ */
+export function transcriberFromEnv(env = process.env, workDir) {
+  return createTranscriber(env.TRANSCRIBER || 'none', {
+    dir: env.TRANSCRIBER_FIXTURES,
+    downloadCommand: env.ASR_DOWNLOAD_COMMAND,
+    asrCommand: env.ASR_COMMAND,
+    model: env.ASR_MODEL,
+    timeoutSeconds: env.ASR_TIMEOUT_SECONDS ? parseInt(env.ASR_TIMEOUT_SECONDS, 10) : undefined,
+    workDir,
+  });
+}
+
+// Captions and transcription are each given up on after this many failures
+export const MAX_TRANSCRIPT_ATTEMPTS = 5;
+
+function cleanCaption(text) {
+  return text
+    .replace(/\[Music\]/gi, '').replace(/\[Applause\]/gi, '')
+    .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&#39;/g, "'").replace(/&quot;/g, '"').replace(/\s+/g, ' ').trim();
+}
+
+// Keep each caption's timing and where it starts in the flattened text,
+// so search hits can be mapped back to a moment in the video.
+function flattenTrack(raw) {
+  const parts = [];
+  const segments = [];
+  let pos = 0;
+  for (const s of raw) {
+    const clean = cleanCaption(s.text || '');
+    if (!clean) continue;
+    segments.push({ start: pos, offset: Math.round(s.offset * 100) / 100, duration: Math.round(s.duration * 100) / 100 });
+    parts.push(clean);
+    pos += clean.length + 1;
+  }
+  const text = parts.join(' ');
+  return { text, segments, words: text.split(/\s+/).length };
+}
+
+/**
+ * A video's transcript: captions from `yt` (scripts/youtube.mjs) first; when
+ * it has none, the fallback `transcriber` (if any). Either is skipped once
+ * the video's `transcriptAttempts` / `asrAttempts` reach `maxAttempts`.
+ * Resolves to { ok, source, text, segments, words, captionAttempts,
+ * asrAttempts } — `err` and `reason` instead of a transcript on failure.
+ */
+export async function fetchTranscript(video, { yt, transcriber, maxAttempts = MAX_TRANSCRIPT_ATTEMPTS }) {
+  const failed = (e, reason) => ({ ok: false, text: '', segments: [], words: 0, err: e.message?.slice(0, 100) || 'Unknown', reason });
+  let captionAttempts = 0;
+  let captionFailed = null;
+  if ((video.transcriptAttempts || 0) < maxAttempts) {
+    try {
+      return { ok: true, source: 'youtube-captions', captionAttempts: 1, ...flattenTrack(await yt.captions(video.id)) };
+    } catch (e) {
+      const { reason, transient } = captionFailure(e);
+      // Rate limits and network trouble say nothing about the video itself,
+      // so only real answers count as attempts
+      if (transient) return { ...failed(e, reason), captionAttempts: 0 };
+      captionAttempts = 1;
+      captionFailed = failed(e, reason);
+    }
+  }
+  if (!transcriber || (video.asrAttempts || 0) >= maxAttempts) {
+    return { ...(captionFailed || failed(new Error('Gave up after repeated failures'), 'gave-up')), captionAttempts };
+  }
+  try {
+    return { ok: true, source: 'asr', captionAttempts, asrAttempts: 1, ...flattenTrack(await transcriber.transcribe(video)) };
+  } catch (e) {
+    return { ...failed(e, 'asr-failed'), captionAttempts, asrAttempts: 1 };
+  }
+}
+
+function fixtures(dir) {
+  return {
+    name: 'fixtures',
+    async transcribe(video) {
+      const file = path.join(dir, `${video.id}.json`);
+      if (!fs.existsSync(file)) throw new Error(`No fixture for ${video.id}`);
+      return parseTrack(JSON.parse(fs.readFileSync(file, 'utf-8')));
+    },
+  };
+}
+
+/**
+ * Commands are templates: {url}, {audio}, {out} and {model} are filled in.
+ * The ASR command must write {out}.json — whisper.cpp's -oj output, or
+ * openai-whisper / faster-whisper style { segments: [{ start, end, text }] }.
+ */
+function command({ downloadCommand = DEFAULT_DOWNLOAD, asrCommand = DEFAULT_ASR, model = 'models/ggml-base.en.bin', timeoutSeconds = 3600, workDir = '.cache/asr' }) {
+  // Speech-to-text saturates the CPU — run one video at a time
+  let queue = Promise.resolve();
+
+  async function run(video) {
+    const dir = path.join(workDir, video.id);
+    fs.mkdirSync(dir, { recursive: true });
+    const vars = { url: video.url, audio: path.join(dir, 'audio.wav'), out: path.join(dir, 'transcript'), model };
+    try {
+      await sh(fill(downloadCommand, vars), timeoutSeconds);
+      await sh(fill(asrCommand, vars), timeoutSeconds);
+      return parseTrack(JSON.parse(fs.readFileSync(`${vars.out}.json`, 'utf-8')));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  return {
+    name: 'command',
+    transcribe(video) {
+      const result = queue.then(() => run(video));
+      queue = result.catch(() => {});
+      return result;
+    },
+  };
+}
+
+function fill(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (m, key) => key in vars ? `'${String(vars[key]).replace(/'/g, `'\\''`)}'` : m);
+}
+
+function sh(cmd, timeoutSeconds) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(cmd, { shell: true, stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', d => { stderr = (stderr + d).slice(-500); });
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeoutSeconds * 1000);
+    child.on('error', err => { clearTimeout(timer); reject(err); });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) resolve();
+      else reject(new Error(`${cmd.split(' ')[0]} ${signal ? `killed (${signal})` : `exited ${code}`}: ${stderr.trim().split('\n').pop() || ''}`));
+    });
+  });
+}
+
+/**
+ * Normalize the transcript formats we accept into [{ text, offset, duration }]
+ */
+function parseTrack(data) {
+  if (Array.isArray(data)) return data;
+  // whisper.cpp: offsets in milliseconds
+  if (Array.isArray(data?.transcription)) {
+    return data.transcription.map(s => ({
+      text: s.text,
+      offset: s.offsets.from / 1000,
+      duration: (s.offsets.to - s.offsets.from) / 1000,
+    }));
+  }
+  if (Array.isArray(data?.segments)) {
+    return data.segments.map(s => ({ text: s.text, offset: s.start, duration: s.end - s.start }));
+  }
+  throw new Error('Unrecognized transcript format');
+}
@@ -0,0 +1,175 @@
+/**
+ * YouTube networking for the collector: Data API requests with retries and
+ * quota accounting, caption fetching, and a bounded-concurrency pool.
+ *
+ * The fetch layer is injectable — pass `fetch` and `baseUrl` (or set
+ * YOUTUBE_API_BASE / YOUTUBE_CAPTIONS_BASE) to run against a fake server.
+ * A captions base URL is expected to answer GET <base>/<videoId> with
+ * [{ text, offset, duration }].
+ */
+
+// Data API cost per request, in quota units — every list call we make is 1
+const QUOTA_COST = { channels: 1, playlists: 1, playlistItems: 1, videos: 1, search: 100 };
+
+export class YouTubeError extends Error {
+  constructor(message, { status, reason = 'other', transient = false } = {}) {
+    super(message);
+    this.name = 'YouTubeError';
+    this.status = status;
+    this.reason = reason;
+    this.transient = transient;
+  }
+}
+
+export class QuotaBudgetError extends YouTubeError {
+  constructor(used, budget) {
+    super(`Quota budget of ${budget} units reached (${used} used) — raise YOUTUBE_QUOTA_BUDGET or rerun tomorrow`, { reason: 'quota-budget' });
+    this.name = 'QuotaBudgetError';
+  }
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Run `fn(attempt)` until it succeeds, retrying errors marked `transient`
+ * with exponential backoff and full jitter. A `retryAfter` (ms) on the
+ * error is honoured as a floor.
+ */
+export async function withRetry(fn, { retries = 4, baseMs = 500, maxMs = 30000, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (!err.transient || attempt >= retries) throw err;
+      const delay = Math.max(err.retryAfter || 0, Math.random() * Math.min(maxMs, baseMs * 2 ** attempt));
+      onRetry?.(err, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Map over `items` with at most `limit` calls to `fn(item, i)` in flight,
+ * keeping results in order
+ */
+export async function mapPool(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Data API 403s carry a reason — only the rate limits are worth retrying,
+// along with YouTube's own 5xx failures
+function apiError(status, body, retryAfter) {
+  const reason = body?.error?.errors?.[0]?.reason;
+  const message = `YT API ${status}: ${body?.error?.message || 'request failed'}`;
+  if (reason === 'quotaExceeded' || reason === 'dailyLimitExceeded') {
+    return new YouTubeError(message, { status, reason: 'quota-exceeded' });
+  }
+  const rateLimited = status === 429 || reason === 'rateLimitExceeded' || reason === 'userRateLimitExceeded';
+  const transient = rateLimited || status >= 500;
+  const err = new YouTubeError(message, {
+    status,
+    reason: rateLimited ? 'rate-limited' : status >= 500 ? 'server-error' : reason || 'other',
+    transient,
+  });
+  err.retryAfter = retryAfter;
+  return err;
+}
+
+function retryAfterMs(res) {
+  const secs = parseFloat(res.headers?.get?.('retry-after'));
+  return Number.isFinite(secs) ? secs * 1000 : undefined;
+}
+
+/**
+ * Why a caption fetch failed, from youtube-transcript's error classes.
+ * Rate limits and network errors are transient; the rest are about the video.
+ */
+export function captionFailure(err) {
+  if (err instanceof YouTubeError) return { reason: err.reason, transient: err.transient };
+  const name = err?.constructor?.name || '';
+  if (name === 'YoutubeTranscriptTooManyRequestError') return { reason: 'rate-limited', transient: true };
+  if (name === 'YoutubeTranscriptDisabledError') return { reason: 'captions-disabled', transient: false };
+  if (name === 'YoutubeTranscriptNotAvailableError' || name === 'YoutubeTranscriptNotAvailableLanguageError') return { reason: 'no-captions', transient: false };
+  if (name === 'YoutubeTranscriptVideoUnavailableError') return { reason: 'video-unavailable', transient: false };
+  if (err instanceof TypeError || ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED'].includes(err?.cause?.code)) return { reason: 'network', transient: true };
+  return { reason: 'other', transient: false };
+}
+
+/**
+ * A YouTube client:
+ *
+ *   { get(endpoint, params), captions(videoId), quota: { used, budget } }
+ *
+ * `get` calls the Data API, retrying transient failures and refusing to
+ * spend past `quotaBudget` units. `captions` resolves to the raw caption
+ * track [{ text, offset, duration }].
+ */
+export function createYouTube({
+  apiKey,
+  fetch = globalThis.fetch,
+  baseUrl = process.env.YOUTUBE_API_BASE || 'https://www.googleapis.com/youtube/v3',
+  captionsBaseUrl = process.env.YOUTUBE_CAPTIONS_BASE,
+  quotaBudget = Infinity,
+  retries = 4,
+  baseMs = 500,
+  log = () => {},
+} = {}) {
+  const quota = { used: 0, budget: quotaBudget };
+  const onRetry = (err, attempt, delay) => log(`retry ${attempt}/${retries} in ${Math.round(delay)}ms — ${err.message}`);
+
+  async function request(url) {
+    let res;
+    try {
+      res = await fetch(url);
+    } catch (err) {
+      throw new YouTubeError(`Network error: ${err.message}`, { reason: 'network', transient: true });
+    }
+    return res;
+  }
+
+  async function get(endpoint, params) {
+    const cost = QUOTA_COST[endpoint] ?? 1;
+    const url = new URL(`${baseUrl.replace(/\/$/, '')}/${endpoint}`);
+    url.searchParams.set('key', apiKey);
+    for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+
+    return withRetry(async () => {
+      if (quota.used + cost > quota.budget) throw new QuotaBudgetError(quota.used, quota.budget);
+      // Google counts failed requests against the quota too
+      quota.used += cost;
+      const res = await request(url);
+      const data = await res.json().catch(() => null);
+      if (!res.ok || data?.error) throw apiError(res.status, data, retryAfterMs(res));
+      return data;
+    }, { retries, baseMs, onRetry });
+  }
+
+  async function captions(videoId) {
+    return withRetry(async () => {
+      if (captionsBaseUrl) {
+        const res = await request(`${captionsBaseUrl.replace(/\/$/, '')}/${encodeURIComponent(videoId)}`);
+        if (res.ok) return res.json();
+        if (res.status === 404) throw new YouTubeError('Captions 404: no captions', { status: 404, reason: 'no-captions' });
+        throw apiError(res.status, await res.json().catch(() => null), retryAfterMs(res));
+      }
+      const { YoutubeTranscript } = await import('youtube-transcript');
+      try {
+        return await YoutubeTranscript.fetchTranscript(videoId);
+      } catch (err) {
+        err.transient = captionFailure(err).transient;
+        throw err;
+      }
+    }, { retries, baseMs, onRetry });
+  }
+
+  return { get, captions, quota };
+}
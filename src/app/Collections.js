@@ -0,0 +1,386 @@
+'use client';
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { formatTimestamp } from '../lib/search';
+import {
+  listCollections, putCollection, deleteCollection, exportCollections, parseCollections, mergeCollections, newId,
+} from '../lib/collections';
+import { exportFilename, downloadText } from '../lib/exporters';
+
+/**
+ * The saved collections and everything that changes them. Shared by the
+ * search page and the interview reader; each loads them from IndexedDB
+ * when it opens.
+ */
+export function useCollections() {
+  const [collections, setCollections] = useState([]);
+  const [error, setError] = useState('');
+  const collectionsRef = useRef([]);
+
+  useEffect(() => {
+    listCollections()
+      .then(list => { collectionsRef.current = list; setCollections(list); })
+      .catch(err => setError(`Collections unavailable: ${err.message}`));
+  }, []);
+
+  const store = useCallback(async (changed) => {
+    try {
+      const saved = await Promise.all(changed.map(putCollection));
+      const ids = new Set(saved.map(c => c.id));
+      collectionsRef.current = [...saved, ...collectionsRef.current.filter(c => !ids.has(c.id))];
+      setCollections(collectionsRef.current);
+      setError('');
+      return saved;
+    } catch (err) {
+      setError(`Couldn't save: ${err.message}`);
+      return [];
+    }
+  }, []);
+
+  const change = useCallback((id, fn) => {
+    const collection = collectionsRef.current.find(c => c.id === id);
+    return collection ? store([fn(collection)]).then(([saved]) => saved) : Promise.resolve(null);
+  }, [store]);
+
+  const create = useCallback(async (name) => {
+    const now = new Date().toISOString();
+    const [saved] = await store([{ id: newId(), name: name.trim(), note: '', createdAt: now, updatedAt: now, items: [] }]);
+    return saved;
+  }, [store]);
+
+  const remove = useCallback(async (id) => {
+    try {
+      await deleteCollection(id);
+      collectionsRef.current = collectionsRef.current.filter(c => c.id !== id);
+      setCollections(collectionsRef.current);
+    } catch (err) {
+      setError(`Couldn't delete: ${err.message}`);
+    }
+  }, []);
+
+  // Saving the same interview, excerpt, answer or search twice keeps one
+  const addItem = useCallback((id, item) => change(id, c => c.items.some(other => sameItem(other, item))
+    ? c
+    : { ...c, items: [...c.items, { id: newId(), note: '', addedAt: new Date().toISOString(), ...item }] }
+  ), [change]);
+
+  const updateItem = useCallback((id, itemId, patch) => change(id, c => ({
+    ...c, items: c.items.map(item => item.id === itemId ? { ...item, ...patch } : item),
+  })), [change]);
+
+  const removeItem = useCallback((id, itemId) => change(id, c => ({
+    ...c, items: c.items.filter(item => item.id !== itemId),
+  })), [change]);
+
+  // Resolves to how many collections were added or extended
+  const importText = useCallback(async (text) => {
+    const changed = mergeCollections(collectionsRef.current, parseCollections(text));
+    return (await store(changed)).length;
+  }, [store]);
+
+  return {
+    collections, error, create, remove, addItem, updateItem, removeItem, importText,
+    rename: (id, name) => change(id, c => ({ ...c, name })),
+    setNote: (id, note) => change(id, c => ({ ...c, note })),
+  };
+}
+
+function sameItem(a, b) {
+  if (a.kind !== b.kind) return false;
+  switch (a.kind) {
+    case 'interview': return a.videoId === b.videoId;
+    case 'excerpt': return a.videoId === b.videoId && a.text === b.text;
+    case 'answer': return a.question === b.question && a.answer === b.answer;
+    case 'search': return a.href === b.href;
+  }
+  return false;
+}
+
+// ─── Save Menu ───────────────────────────────────────────────────
+
+/**
+ * "＋ Save" button with a menu of collections to save `item` to — a
+ * function, so the item is only built when it's saved. `up` opens the menu
+ * above the button.
+ */
+export function SaveMenu({ collections, item, label = '＋ Save', up, style }) {
+  const [open, setOpen] = useState(false);
+  const [status, setStatus] = useState('');
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const close = e => { if (!ref.current?.contains(e.target)) setOpen(false); };
+    document.addEventListener('mousedown', close);
+    return () => document.removeEventListener('mousedown', close);
+  }, [open]);
+
+  const save = async (collection) => {
+    setOpen(false);
+    if (!collection) {
+      const name = window.prompt('Name the new collection', 'Research');
+      if (!name?.trim()) return;
+      collection = await collections.create(name);
+      if (!collection) return;
+    }
+    const saved = await collections.addItem(collection.id, item());
+    setStatus(saved ? `✓ ${saved.name}` : '⚠ Not saved');
+    setTimeout(() => setStatus(''), 2000);
+  };
+
+  return (
+    <span ref={ref} style={{ position: 'relative', display: 'inline-flex' }} onClick={e => e.stopPropagation()}>
+      <button
+        onClick={() => setOpen(!open)}
+        title="Save to a collection"
+        style={{
+          background: 'transparent', border: '1px solid var(--border)', color: status ? 'var(--accent)' : 'var(--text-muted)',
+          padding: '6px 14px', borderRadius: 8, fontSize: 12, fontWeight: 600, whiteSpace: 'nowrap', cursor: 'pointer',
+          width: '100%', ...style,
+        }}
+      >
+        {status || label}
+      </button>
+      {open && (
+        <div style={{
+          position: 'absolute', right: 0, zIndex: 60, minWidth: 200,
+          ...(up ? { bottom: '100%', marginBottom: 4 } : { top: '100%', marginTop: 4 }),
+          background: 'var(--surface)', border: '1px solid var(--border)', borderRadius: 10,
+          boxShadow: '0 8px 24px rgba(0,0,0,0.5)', padding: 4,
+        }}>
+          {collections.collections.map(c => (
+            <MenuItem key={c.id} onClick={() => save(c)}>
+              {c.name} <span style={{ color: 'var(--text-muted)' }}>{c.items.length}</span>
+            </MenuItem>
+          ))}
+          <MenuItem onClick={() => save(null)} accent>＋ New collection…</MenuItem>
+        </div>
+      )}
+    </span>
+  );
+}
+
+function MenuItem({ onClick, accent, children }) {
+  return (
+    <button
+      onClick={onClick}
+      style={{
+        display: 'flex', justifyContent: 'space-between', gap: 12, width: '100%', textAlign: 'left',
+        background: 'transparent', border: 'none', color: accent ? 'var(--accent)' : 'var(--text)',
+        padding: '8px 10px', borderRadius: 6, fontSize: 13, cursor: 'pointer',
+      }}
+      onMouseOver={e => e.currentTarget.style.background = 'var(--surface-hover)'}
+      onMouseOut={e => e.currentTarget.style.background = 'transparent'}
+    >
+      {children}
+    </button>
+  );
+}
+
+// ─── Collections Panel ───────────────────────────────────────────
+
+/**
+ * Side drawer listing the collections, their items and notes, with JSON
+ * import and export
+ */
+export function CollectionsPanel({ collections, onClose }) {
+  const [openId, setOpenId] = useState(null);
+  const [status, setStatus] = useState('');
+  const fileRef = useRef(null);
+  const list = collections.collections;
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const n = await collections.importText(await file.text());
+      setStatus(n ? `Imported ${n} collection${n === 1 ? '' : 's'}` : 'Nothing new in that file');
+    } catch (err) {
+      setStatus(`⚠ ${err.message}`);
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'fixed', top: 0, right: 0, bottom: 0, zIndex: 100, width: 'min(440px, 100vw)',
+      background: 'var(--bg)', borderLeft: '1px solid var(--border)', boxShadow: '-8px 0 32px rgba(0,0,0,0.5)',
+      display: 'flex', flexDirection: 'column',
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '14px 18px', borderBottom: '1px solid var(--border)' }}>
+        <div style={{ fontFamily: 'var(--font-mono)', fontSize: 12, color: 'var(--accent)', letterSpacing: 2, textTransform: 'uppercase', flex: 1 }}>
+          📚 Collections
+        </div>
+        <PanelButton onClick={async () => {
+          const name = window.prompt('Name the new collection', 'Research');
+          if (name?.trim()) setOpenId((await collections.create(name))?.id ?? null);
+        }}>＋ New</PanelButton>
+        <PanelButton onClick={() => fileRef.current?.click()} title="Add collections from a JSON file">Import</PanelButton>
+        <PanelButton
+          onClick={() => downloadText('founder-wisdom-collections.json', exportCollections(list), 'application/json')}
+          disabled={!list.length}
+          title="Download every collection as JSON"
+        >
+          Export all
+        </PanelButton>
+        <PanelButton onClick={onClose} title="Close">✕</PanelButton>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={importFile} style={{ display: 'none' }} />
+      </div>
+
+      {(status || collections.error) && (
+        <div style={{ padding: '8px 18px', fontSize: 12, color: collections.error || status.startsWith('⚠') ? 'var(--accent-red)' : 'var(--accent-green)' }}>
+          {collections.error || status}
+        </div>
+      )}
+
+      <div style={{ flex: 1, overflowY: 'auto', padding: '12px 18px 40px' }}>
+        {list.length === 0 && (
+          <div style={{ fontSize: 14, color: 'var(--text-muted)', lineHeight: 1.7, textAlign: 'center', padding: '40px 10px' }}>
+            No collections yet. Save interviews, AI answers and searches with <b>＋ Save</b>, or
+            select part of a transcript to save it as an excerpt.
+          </div>
+        )}
+        {list.map(c => (
+          <CollectionCard
+            key={c.id}
+            collection={c}
+            collections={collections}
+            isOpen={openId === c.id}
+            onToggle={() => setOpenId(openId === c.id ? null : c.id)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function CollectionCard({ collection, collections, isOpen, onToggle }) {
+  const c = collection;
+  return (
+    <div style={{ background: 'var(--surface)', border: '1px solid var(--border)', borderRadius: 12, marginBottom: 10 }}>
+      <div onClick={onToggle} style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '12px 14px', cursor: 'pointer' }}>
+        <span style={{ color: 'var(--text-muted)', fontSize: 11, width: 10 }}>{isOpen ? '▾' : '▸'}</span>
+        <span style={{ flex: 1, fontSize: 14, fontWeight: 600 }}>{c.name}</span>
+        <span style={{ fontSize: 12, color: 'var(--text-muted)' }}>{c.items.length}</span>
+      </div>
+
+      {isOpen && (
+        <div style={{ padding: '0 14px 14px' }}>
+          <NoteField value={c.note} placeholder="Notes on this collection..." onSave={note => collections.setNote(c.id, note)} />
+          <div style={{ display: 'flex', gap: 6, margin: '8px 0 12px' }}>
+            <PanelButton onClick={() => {
+              const name = window.prompt('Rename collection', c.name);
+              if (name?.trim()) collections.rename(c.id, name.trim());
+            }}>Rename</PanelButton>
+            <PanelButton onClick={() => downloadText(exportFilename(c.name, 'json'), exportCollections([c]), 'application/json')} title="Download this collection to share">
+              Export
+            </PanelButton>
+            <PanelButton onClick={() => {
+              if (window.confirm(`Delete "${c.name}" and its ${c.items.length} saved items?`)) collections.remove(c.id);
+            }}>Delete</PanelButton>
+          </div>
+
+          {c.items.length === 0 && <div style={{ fontSize: 13, color: 'var(--text-muted)' }}>Nothing saved here yet.</div>}
+          {[...c.items].reverse().map(item => (
+            <div key={item.id} style={{ borderTop: '1px solid var(--border)', padding: '10px 0' }}>
+              <div style={{ display: 'flex', gap: 8, alignItems: 'flex-start' }}>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <ItemBody item={item} />
+                </div>
+                <button
+                  onClick={() => collections.removeItem(c.id, item.id)}
+                  title="Remove from collection"
+                  style={{ background: 'transparent', border: 'none', color: 'var(--text-muted)', cursor: 'pointer', fontSize: 12 }}
+                >
+                  ✕
+                </button>
+              </div>
+              <NoteField value={item.note} placeholder="Add a note..." onSave={note => collections.updateItem(c.id, item.id, { note })} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ItemBody({ item }) {
+  const linkStyle = { fontSize: 13, fontWeight: 600, color: 'var(--text)', lineHeight: 1.4 };
+  switch (item.kind) {
+    case 'interview':
+      return <a href={`/interview/${encodeURIComponent(item.videoId)}`} style={linkStyle}>🎬 {item.title || item.videoId}</a>;
+    case 'excerpt':
+      return (
+        <>
+          <div style={{ fontSize: 13, lineHeight: 1.65, color: '#ccc', borderLeft: '2px solid rgba(245,158,11,0.3)', paddingLeft: 10, fontStyle: 'italic' }}>
+            &ldquo;{item.text}&rdquo;
+          </div>
+          <a
+            href={`/interview/${encodeURIComponent(item.videoId)}${item.timestamp != null ? `?t=${Math.floor(item.timestamp)}` : ''}`}
+            style={{ display: 'inline-block', marginTop: 6, fontSize: 12, color: 'var(--text-muted)' }}
+          >
+            {item.title || item.videoId}
+            {item.timestamp != null && <span style={{ color: 'var(--accent-red)', marginLeft: 6 }}>▶ {formatTimestamp(item.timestamp)}</span>}
+          </a>
+        </>
+      );
+    case 'answer':
+      return (
+        <>
+          <div style={{ ...linkStyle, marginBottom: 6 }}>🧠 {item.question}</div>
+          <div style={{ fontSize: 13, lineHeight: 1.65, color: '#ccc', whiteSpace: 'pre-wrap', maxHeight: 220, overflowY: 'auto' }}>{item.answer}</div>
+          {item.citations.length > 0 && (
+            <div style={{ marginTop: 8, display: 'flex', flexDirection: 'column', gap: 4 }}>
+              {item.citations.map(c => (
+                <a key={c.ref} href={c.url || undefined} target="_blank" rel="noopener noreferrer" style={{ fontSize: 12, color: 'var(--text-muted)', display: 'flex', gap: 6 }}>
+                  <span style={{ fontFamily: 'var(--font-mono)', color: 'var(--accent)' }}>[{c.ref}]</span>
+                  <span>{c.title}</span>
+                  {c.timestamp != null && <span style={{ color: 'var(--accent-red)' }}>▶ {formatTimestamp(c.timestamp)}</span>}
+                </a>
+              ))}
+            </div>
+          )}
+        </>
+      );
+    case 'search':
+      return <a href={item.href} style={linkStyle}>🔍 {item.q || item.href} {item.mode && <span style={{ fontWeight: 400, color: 'var(--text-muted)' }}>· {item.mode}</span>}</a>;
+  }
+  return null;
+}
+
+// Saves when it loses focus, and only if changed
+function NoteField({ value, placeholder, onSave }) {
+  const [text, setText] = useState(value || '');
+  useEffect(() => { setText(value || ''); }, [value]);
+  return (
+    <textarea
+      value={text}
+      onChange={e => setText(e.target.value)}
+      onBlur={() => { if (text !== (value || '')) onSave(text); }}
+      placeholder={placeholder}
+      rows={text ? Math.min(6, text.split('\n').length + 1) : 1}
+      style={{
+        display: 'block', width: '100%', marginTop: 8, resize: 'vertical',
+        background: 'transparent', border: '1px dashed var(--border)', color: 'var(--text)',
+        padding: '6px 10px', borderRadius: 8, fontSize: 13, lineHeight: 1.5, fontFamily: 'inherit',
+      }}
+    />
+  );
+}
+
+function PanelButton({ onClick, disabled, title, children }) {
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      title={title}
+      style={{
+        background: 'transparent', border: '1px solid var(--border)', color: 'var(--text-muted)',
+        padding: '4px 10px', borderRadius: 8, fontSize: 12, whiteSpace: 'nowrap',
+        cursor: disabled ? 'default' : 'pointer', opacity: disabled ? 0.4 : 1,
+      }}
+    >
+      {children}
+    </button>
+  );
+}
@@ -0,0 +1,1469 @@
+'use client';
+
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { buildIndex, searchIndex, filterHits, parseQuery, queryText, INDEX_VERSION, extractExcerpt, highlightTerms, formatNumber, formatDate, formatTimestamp, watchUrl, videoSource, corpusSources, sortHits, FACETS, FACET_LABELS, facetCounts, matchesFacets } from '../lib/search';
+import { splitCitations } from '../lib/citations';
+import { readEvents } from '../lib/sse';
+import { threadUrl, threadFromLocation, saveThread, loadSavedThread, relinkThread } from '../lib/thread';
+import { createEmbedder, decodeVectors, semanticSearch, hybridMerge, VECTORS_VERSION } from '../lib/semantic';
+import { fetchShard } from '../lib/shards';
+import { readSearchParams, searchHref } from '../lib/searchParams';
+import { profileFacts } from '../lib/profile';
+import { resultsToCsv, resultsToJson, answerToMarkdown, exportFilename, downloadText } from '../lib/exporters';
+import { useCollections, SaveMenu, CollectionsPanel } from './Collections';
+
+// Result cards per page of "Show more"
+const PAGE_SIZE = 25;
+
+// Compare picks up to this many interviews from the results
+const MAX_PICKED = 4;
+
+// One color per agreement cluster in a comparison
+const CLUSTER_COLORS = ['#f59e0b', '#3b82f6', '#10b981', '#ef4444', '#a855f7', '#14b8a6'];
+
+const SORT_LABELS = { relevance: 'Relevance', newest: 'Newest', oldest: 'Oldest', views: 'Most viewed', longest: 'Longest', revenue: 'Highest revenue' };
+
+/**
+ * The search page. `initial` is the { q, mode } the server read from the URL,
+ * so the first render already shows the search being restored. `semantic`
+ * says whether the collector built a vector index; without one semantic
+ * links fall back to keyword search.
+ */
+export default function HomePage({ initial, semantic = false }) {
+  const usableMode = mode => mode === 'semantic' && !semantic ? 'keyword' : mode;
+  const [database, setDatabase] = useState(null);
+  const [index, setIndex] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [query, setQuery] = useState(initial?.q || '');
+  const [hits, setHits] = useState(null); // the last search's full ranking: { parsed, list: [{ id, score, passage? }] }
+  const [results, setResults] = useState([]); // the page of hits on screen, with excerpts
+  const [searched, setSearched] = useState(false);
+  const [aiAnswer, setAiAnswer] = useState('');
+  const [aiCitations, setAiCitations] = useState([]);
+  const [aiError, setAiError] = useState('');
+  const [aiLoading, setAiLoading] = useState(false);
+  const [aiQuestion, setAiQuestion] = useState('');
+  const [aiInterviews, setAiInterviews] = useState(null); // how many interviews the answer was given, once the route says
+  const [thread, setThread] = useState([]); // earlier turns: [{ question, answer, citations }]
+  const [followUp, setFollowUp] = useState('');
+  const [savedThread, setSavedThread] = useState([]);
+  const [shareStatus, setShareStatus] = useState('');
+  const [searchMode, setSearchMode] = useState(usableMode(initial?.mode || 'ai')); // 'keyword', 'semantic', 'ai' or 'compare'
+  const [hybrid, setHybrid] = useState(true);
+  const [semanticLoading, setSemanticLoading] = useState(false);
+  const [semanticError, setSemanticError] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+  const [showAllVideos, setShowAllVideos] = useState(false);
+  const [topic, setTopic] = useState(null); // topic id being browsed
+  const [comparison, setComparison] = useState(null); // { question, loading, error, result } — see doCompare
+  const [picked, setPicked] = useState([]); // interview ids chosen to compare
+  const [sourceFilter, setSourceFilter] = useState('all');
+  const [facets, setFacets] = useState({}); // facet -> selected values, see facetCounts
+  const [sort, setSort] = useState('relevance');
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const [searchRequest, setSearchRequest] = useState(null); // { push } — see runSearch
+  const [shards, setShards] = useState({}); // loaded transcripts: id -> { transcript, segments }
+  const [showCollections, setShowCollections] = useState(false);
+  const collections = useCollections();
+  const inputRef = useRef(null);
+  const vectorsRef = useRef(null);
+  const aiAbortRef = useRef(null);
+  const compareAbortRef = useRef(null);
+  const shardsRef = useRef(new Map()); // id -> Promise of its shard
+  const urlAppliedRef = useRef(false);
+
+  // Fetch transcript shards not loaded yet. Resolves to Map(id -> shard)
+  // of the ones that loaded.
+  const loadShards = useCallback(async (ids) => {
+    const settled = await Promise.allSettled(ids.map(id => {
+      if (!shardsRef.current.has(id)) {
+        shardsRef.current.set(id, fetchShard(id).catch(err => {
+          shardsRef.current.delete(id);
+          throw err;
+        }));
+      }
+      return shardsRef.current.get(id);
+    }));
+    const loaded = settled.filter(r => r.status === 'fulfilled').map(r => r.value);
+    if (loaded.length) setShards(prev => ({ ...prev, ...Object.fromEntries(loaded.map(shard => [shard.id, shard])) }));
+    return new Map(loaded.map(shard => [shard.id, shard]));
+  }, []);
+
+  // The manifest is enough to render; the index follows, and transcripts
+  // load as searches and expanded cards need them
+  useEffect(() => {
+    fetch('/data/manifest.json')
+      .then(r => r.json())
+      .then(data => {
+        setDatabase(data);
+        setLoading(false);
+        return fetch('/data/index.json')
+          .then(r => r.ok ? r.json() : null)
+          .catch(() => null)
+          .then(async idx => {
+            if (idx?.version === INDEX_VERSION) return setIndex(idx);
+            // Fall back to indexing in the browser if the collector didn't write one
+            const videos = (data.videos || []).filter(v => v.transcriptAvailable);
+            const loaded = await loadShards(videos.map(v => v.id));
+            setIndex(buildIndex(videos.map(v => ({ ...v, ...loaded.get(v.id) }))));
+          });
+      })
+      .catch(err => {
+        setError('Failed to load transcript database.');
+        setLoading(false);
+      });
+  }, [loadShards]);
+
+  const allVideos = useMemo(() => database?.videos?.filter(v => v.transcriptAvailable) || [], [database]);
+  const sources = useMemo(() => corpusSources(database), [database]);
+  // Everything below searches within the selected source
+  const videosWithTranscripts = useMemo(
+    () => sourceFilter === 'all' ? allVideos : allVideos.filter(v => videoSource(v) === sourceFilter),
+    [allVideos, sourceFilter]
+  );
+  const videosById = useMemo(() => new Map(videosWithTranscripts.map(v => [v.id, v])), [videosWithTranscripts]);
+  // The collector's topics, counted within the selected source, biggest first
+  const topics = useMemo(() => (database?.metadata?.topics || [])
+    .map(t => ({ ...t, count: videosWithTranscripts.filter(v => v.topics?.includes(t.id)).length }))
+    .filter(t => t.count > 0)
+    .sort((a, b) => b.count - a.count),
+  [database, videosWithTranscripts]);
+  const topicLabels = useMemo(() => new Map((database?.metadata?.topics || []).map(t => [t.id, t.label])), [database]);
+
+  // Load the top hits' transcripts and attach excerpts — semantic hits
+  // excerpt their best passage
+  const toResults = useCallback(async (page, parsed) => {
+    const top = page.filter(hit => videosById.has(hit.id));
+    const loaded = await loadShards(top.map(hit => hit.id));
+    return top
+      .map(hit => {
+        const v = { ...videosById.get(hit.id), transcript: '', ...loaded.get(hit.id) };
+        const excerpt = hit.passage
+          ? { ...extractExcerpt(v.transcript.slice(hit.passage.start, hit.passage.end), parsed), timestamp: hit.passage.timestamp }
+          : extractExcerpt(v.transcript, parsed, 350, v.segments);
+        return { ...v, score: hit.score, excerpt: excerpt.text || v.description, excerptTimestamp: excerpt.timestamp };
+      });
+  }, [videosById, loadShards]);
+
+  // Rank against the inverted index — excerpts come later, a page at a time
+  const rankHits = useCallback((q) => {
+    const parsed = parseQuery(q);
+    return { parsed, list: searchIndex(index, parsed, videosById) };
+  }, [index, videosById]);
+
+  // What the facets narrow: the last search's hits, or the interviews being
+  // browsed — a topic's or all of them. Browsing has no relevance, so it
+  // falls back to newest first.
+  const pool = useMemo(() => searched
+    ? (hits?.list || []).filter(hit => videosById.has(hit.id))
+    : videosWithTranscripts.filter(v => !topic || v.topics?.includes(topic)).map(v => ({ id: v.id, score: 0 })),
+  [searched, hits, videosById, videosWithTranscripts, topic]);
+  const browsing = !searched && (showAllVideos || !!topic);
+  const activeSort = !searched && sort === 'relevance' ? 'newest' : sort;
+  const counts = useMemo(() => facetCounts(pool.map(hit => videosById.get(hit.id)), facets), [pool, videosById, facets]);
+  const ordered = useMemo(
+    () => sortHits(pool.filter(hit => matchesFacets(videosById.get(hit.id), facets)), videosById, activeSort),
+    [pool, videosById, facets, activeSort]
+  );
+
+  // Excerpt the page of search hits on screen; a newer page wins
+  useEffect(() => {
+    if (!searched || !hits) {
+      setResults([]);
+      return;
+    }
+    let stale = false;
+    toResults(ordered.slice(0, limit), hits.parsed).then(page => { if (!stale) setResults(page); });
+    return () => { stale = true; };
+  }, [searched, hits, ordered, limit, toResults]);
+
+  // Download the whole filtered, ordered result set — not just the page on screen
+  const exportResults = useCallback(async (format) => {
+    if (!hits) return;
+    const list = await toResults(ordered, hits.parsed);
+    const { q } = readSearchParams(new URLSearchParams(window.location.search));
+    const filename = exportFilename(q || 'results', format);
+    if (format === 'csv') downloadText(filename, resultsToCsv(list), 'text/csv');
+    else downloadText(filename, resultsToJson(list, { query: q, sort: activeSort }), 'application/json');
+  }, [hits, ordered, activeSort, toResults]);
+
+  // Any new search, filter or order starts back at the first page
+  useEffect(() => { setLimit(PAGE_SIZE); }, [hits, facets, sort, searched, sourceFilter, topic]);
+
+  // Vectors are large, so they load on the first semantic search
+  const loadVectors = useCallback(async () => {
+    if (vectorsRef.current) return vectorsRef.current;
+    const res = await fetch('/data/vectors.json');
+    if (!res.ok) throw new Error('No vector index — run the collector with embeddings enabled');
+    const file = await res.json();
+    if (file.version !== VECTORS_VERSION) throw new Error('Vector index is out of date — rerun the collector');
+    vectorsRef.current = decodeVectors(file);
+    return vectorsRef.current;
+  }, []);
+
+  // The hash stub runs in the browser; real models embed server-side
+  const embedQuery = useCallback(async (q, vectors) => {
+    if (vectors.provider === 'hash') {
+      const [vector] = await createEmbedder('hash', { dimensions: vectors.dimensions }).embed([q]);
+      return vector;
+    }
+    const res = await fetch('/api/embed', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: q }),
+    });
+    const data = await res.json();
+    if (!data.vector) throw new Error(data.error || 'Embedding failed');
+    return data.vector;
+  }, []);
+
+  // Semantic search — cosine similarity over passages, optionally blended with keyword scores
+  const doSemanticSearch = useCallback(async () => {
+    if (!database || !query.trim()) return;
+    setSemanticLoading(true);
+    setSemanticError('');
+    setSearched(true);
+    setAiAnswer('');
+
+    const parsed = parseQuery(query);
+    // Only the words are embedded; exclusions, required terms and filters
+    // narrow the semantic hits the way they narrow keyword ones
+    const text = queryText(parsed);
+    if (!text) {
+      setHits(rankHits(query));
+      setSemanticLoading(false);
+      return;
+    }
+    try {
+      const vectors = await loadVectors();
+      const queryVector = await embedQuery(text, vectors);
+      let hits = filterHits(index, parsed, semanticSearch(vectors, queryVector), videosById);
+      if (hybrid) hits = hybridMerge(searchIndex(index, parsed, videosById), hits);
+      setHits({ parsed, list: hits });
+    } catch (err) {
+      console.error('Semantic search failed:', err);
+      setSemanticError(err.message);
+      setHits(rankHits(query));
+    }
+
+    setSemanticLoading(false);
+  }, [database, query, hybrid, index, videosById, loadVectors, embedQuery, rankHits]);
+
+  // Keyword search
+  const doKeywordSearch = useCallback(async () => {
+    if (!database || !query.trim()) return;
+
+    setHits(rankHits(query));
+    setSearched(true);
+    setAiAnswer('');
+  }, [database, query, rankHits]);
+
+  // Ask the AI route one question, streaming the answer into the current turn.
+  // The route picks the best passages across the corpus itself; setup
+  // problems still come back as plain JSON.
+  const askAi = useCallback(async (question, turns) => {
+    aiAbortRef.current?.abort();
+    setAiQuestion(question);
+    setAiLoading(true);
+    setAiAnswer('');
+    setAiCitations([]);
+    setAiInterviews(null);
+    setAiError('');
+    setShareStatus('');
+
+    const controller = new AbortController();
+    aiAbortRef.current = controller;
+    try {
+      const res = await fetch('/api/ai-search', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query: question, history: turns, source: sourceFilter === 'all' ? undefined : sourceFilter }),
+        signal: controller.signal,
+      });
+      if (res.headers.get('content-type')?.includes('text/event-stream')) {
+        await readEvents(res, (event, data) => {
+          // Follow-ups are retrieved as a rewritten standalone query — show its matches
+          if (event === 'query' && turns.length) setHits(rankHits(data.query));
+          // One source per interview whose passages made it into the context
+          else if (event === 'sources') setAiInterviews(new Set(data.sources.map(s => s.id)).size);
+          else if (event === 'token') setAiAnswer(prev => prev + data.text);
+          else if (event === 'done') {
+            setAiAnswer(data.answer);
+            setAiCitations(data.citations || []);
+          } else if (event === 'error') setAiError(data.message);
+        });
+      } else {
+        const data = await res.json();
+        setAiAnswer(data.answer || 'No answer generated.');
+        setAiCitations(data.citations || []);
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        // A newer search replaced this one — leave its state alone
+        if (aiAbortRef.current !== controller) return;
+        setAiError('Answer cancelled.');
+      } else {
+        setAiError('AI search unavailable. Showing keyword results below.');
+      }
+    }
+
+    if (aiAbortRef.current === controller) aiAbortRef.current = null;
+    setAiLoading(false);
+  }, [rankHits, sourceFilter]);
+
+  // AI search — starts a new conversation
+  const doAiSearch = useCallback(async () => {
+    if (!database || !query.trim()) return;
+    setThread([]);
+    setFollowUp('');
+    setSearched(true);
+
+    // Find relevant videos first
+    const ranked = rankHits(query);
+    setHits(ranked);
+
+    if (ranked.list.length === 0) {
+      aiAbortRef.current?.abort();
+      setAiQuestion(query);
+      setAiCitations([]);
+      setAiError('');
+      setAiAnswer('No relevant interviews found for this query. Try different keywords.');
+      return;
+    }
+
+    await askAi(query, []);
+  }, [database, query, rankHits, askAi]);
+
+  // Compare founders on the query — the best matches, or the `videoIds` picked
+  const doCompare = useCallback(async (videoIds) => {
+    if (!database || !query.trim()) return;
+    const question = query.trim();
+    aiAbortRef.current?.abort();
+    compareAbortRef.current?.abort();
+    const controller = new AbortController();
+    compareAbortRef.current = controller;
+    setAiAnswer('');
+    setThread([]);
+    setSearched(true);
+    if (!videoIds) setHits(rankHits(question));
+    setComparison({ question, loading: true });
+
+    try {
+      const res = await fetch('/api/compare', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query: question, videoIds, source: videoIds || sourceFilter === 'all' ? undefined : sourceFilter }),
+        signal: controller.signal,
+      });
+      const data = await res.json();
+      setComparison(data.error ? { question, error: data.error } : { question, result: data });
+    } catch (err) {
+      // A newer comparison replaced this one, or it was cancelled
+      if (err.name === 'AbortError') return;
+      setComparison({ question, error: 'Comparison unavailable. Keyword results are shown below.' });
+    }
+    if (compareAbortRef.current === controller) compareAbortRef.current = null;
+  }, [database, query, rankHits, sourceFilter]);
+
+  const cancelCompare = useCallback(() => {
+    compareAbortRef.current?.abort();
+    setComparison(prev => prev && { question: prev.question, error: 'Comparison cancelled.' });
+  }, []);
+
+  const togglePicked = useCallback((id) => {
+    setPicked(prev => prev.includes(id) ? prev.filter(p => p !== id) : prev.length < MAX_PICKED ? [...prev, id] : prev);
+  }, []);
+
+  // Follow-up — the finished turn moves into the thread and goes along as history
+  const askFollowUp = useCallback(() => {
+    if (!followUp.trim() || aiLoading) return;
+    const turns = [...thread, { question: aiQuestion, answer: aiAnswer, citations: aiCitations }];
+    setThread(turns);
+    setFollowUp('');
+    askAi(followUp.trim(), turns);
+  }, [followUp, aiLoading, thread, aiQuestion, aiAnswer, aiCitations, askAi]);
+
+  // Reopen a saved or shared conversation. Its citations only keep their
+  // refs — links are rebuilt from the corpus, never taken from the link.
+  const restoreThread = useCallback((saved) => {
+    if (!saved.length) return;
+    const turns = relinkThread(saved, new Map((database?.videos || []).map(v => [v.id, v])));
+    const last = turns[turns.length - 1];
+    aiAbortRef.current?.abort();
+    setThread(turns.slice(0, -1));
+    setAiQuestion(last.question);
+    setAiAnswer(last.answer);
+    setAiCitations(last.citations);
+    setAiInterviews(null);
+    setAiError('');
+    setQuery(turns[0].question);
+    setSearchMode('ai');
+    setSearched(true);
+    setHits(rankHits(last.question));
+  }, [rankHits, database]);
+
+  const shareThread = useCallback(async () => {
+    const url = threadUrl([...thread, { question: aiQuestion, answer: aiAnswer, citations: aiCitations }]);
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareStatus('Link copied');
+    } catch {
+      window.location.hash = url.slice(url.indexOf('#'));
+      setShareStatus('Link is in the address bar');
+    }
+  }, [thread, aiQuestion, aiAnswer, aiCitations]);
+
+  // Search for `q` in `mode` once state has caught up — the search
+  // callbacks read query and mode from state
+  const runSearch = useCallback((q, mode, { push = true } = {}) => {
+    setQuery(q);
+    setSearchMode(usableMode(mode));
+    setSearchRequest({ push });
+  }, [semantic]);
+
+  useEffect(() => {
+    if (!searchRequest || !index) return;
+    setSearchRequest(null);
+    handleSearch(searchRequest);
+  }, [searchRequest, index]);
+
+  // Put the page back the way a URL describes it
+  const applyUrl = useCallback(({ q, mode, video, topic }) => {
+    setExpandedId(video);
+    setTopic(q ? null : topic);
+    if (q) {
+      runSearch(q, mode, { push: false });
+    } else {
+      aiAbortRef.current?.abort();
+      setQuery('');
+      setSearched(false);
+      setHits(null);
+      setComparison(null);
+      setAiAnswer('');
+      setThread([]);
+      if (video) setShowAllVideos(true);
+    }
+  }, [runSearch]);
+
+  // Browse one topic's interviews (null for none), as a new history entry
+  const openTopic = useCallback((id) => {
+    applyUrl({ topic: id, video: null });
+    window.history.pushState(null, '', searchHref({ topic: id }, window.location.pathname));
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  }, [applyUrl]);
+
+  // Shared threads and search links open once the index is ready
+  useEffect(() => {
+    if (!index) return;
+    setSavedThread(loadSavedThread());
+    const shared = threadFromLocation();
+    if (shared.length) restoreThread(shared);
+    else applyUrl(readSearchParams(new URLSearchParams(window.location.search)));
+    urlAppliedRef.current = true;
+  }, [index]);
+
+  // Back/forward move between searches
+  useEffect(() => {
+    const onPopState = () => applyUrl(readSearchParams(new URLSearchParams(window.location.search)));
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, [applyUrl]);
+
+  // The expanded card is part of the URL, without adding history entries
+  useEffect(() => {
+    if (!urlAppliedRef.current) return;
+    const current = readSearchParams(new URLSearchParams(window.location.search));
+    if (current.video === expandedId) return;
+    window.history.replaceState(null, '', searchHref({ ...current, video: expandedId }, window.location.pathname));
+  }, [expandedId]);
+
+  // Keep the latest finished conversation for "Resume"
+  useEffect(() => {
+    if (aiLoading || !aiAnswer || !aiQuestion) return;
+    saveThread([...thread, { question: aiQuestion, answer: aiAnswer, citations: aiCitations }]);
+  }, [aiLoading, aiAnswer, aiQuestion, aiCitations, thread]);
+
+  // Expanded cards show the full transcript
+  useEffect(() => {
+    if (expandedId) loadShards([expandedId]);
+  }, [expandedId, loadShards]);
+
+  const cancelAi = useCallback(() => {
+    aiAbortRef.current?.abort();
+  }, []);
+
+  // Each new search gets a history entry; `push: false` only updates the URL
+  const handleSearch = useCallback((options) => {
+    if (!query.trim()) return;
+    setTopic(null);
+    const current = readSearchParams(new URLSearchParams(window.location.search));
+    const next = { q: query.trim(), mode: searchMode, video: null };
+    if (current.q !== next.q || current.mode !== next.mode) {
+      const href = searchHref(next, window.location.pathname);
+      if (options?.push === false) window.history.replaceState(null, '', href);
+      else window.history.pushState(null, '', href);
+    }
+    if (searchMode !== 'compare') {
+      compareAbortRef.current?.abort();
+      setComparison(null);
+    }
+    if (searchMode === 'ai') doAiSearch();
+    else if (searchMode === 'semantic') doSemanticSearch();
+    else if (searchMode === 'compare') doCompare();
+    else doKeywordSearch();
+  }, [searchMode, doAiSearch, doSemanticSearch, doKeywordSearch, doCompare, query]);
+
+  // Jump to the cited interview's card if it's in the results, else open the video there
+  const openCitation = useCallback((citation) => {
+    const card = document.getElementById(`video-${citation.videoId}`);
+    if (card) {
+      card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      setExpandedId(citation.videoId);
+    } else {
+      window.open(citation.url, '_blank', 'noopener,noreferrer');
+    }
+  }, []);
+
+  // Switching source re-runs keyword and semantic searches; AI answers
+  // pick it up from the next question
+  useEffect(() => {
+    if (searched && searchMode !== 'ai') handleSearch({ push: false });
+  }, [sourceFilter]);
+
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === 'Enter') handleSearch();
+  }, [handleSearch]);
+
+  // ─── Loading state ─────────────────────────────────────────────
+  if (loading) {
+    return (
+      <div style={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', background: 'var(--bg)' }}>
+        <div style={{ textAlign: 'center' }}>
+          <div className="pulse" style={{ fontSize: 48, marginBottom: 16 }}>🔥</div>
+          <div style={{ color: 'var(--text-muted)', fontSize: 15 }}>Loading founder interviews...</div>
+        </div>
+      </div>
+    );
+  }
+
+  // ─── Error / empty state ───────────────────────────────────────
+  if (error || !database || allVideos.length === 0) {
+    const isPending = database?.metadata?.status === 'pending';
+    return (
+      <div style={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', background: 'var(--bg)', padding: 32 }}>
+        <div style={{ textAlign: 'center', maxWidth: 500 }}>
+          <div style={{ fontSize: 48, marginBottom: 16 }}>{isPending ? '⏳' : '⚠️'}</div>
+          <h2 style={{ fontSize: 22, fontWeight: 600, marginBottom: 12 }}>
+            {isPending ? 'Transcripts Not Yet Collected' : 'No Transcripts Available'}
+          </h2>
+          <p style={{ color: 'var(--text-muted)', lineHeight: 1.7, fontSize: 15 }}>
+            {isPending
+              ? 'The YouTube API key needs to be set. Add YOUTUBE_API_KEY as an environment variable in your Vercel project settings, then redeploy.'
+              : database?.metadata?.message || error || 'Something went wrong loading the transcript database.'}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const meta = database.metadata;
+  const busy = aiLoading || semanticLoading || !!comparison?.loading;
+
+  // ─── Main UI ───────────────────────────────────────────────────
+  return (
+    <div style={{ minHeight: '100vh', background: 'var(--bg)' }}>
+      {/* ─── Header ─── */}
+      <header style={{
+        position: 'sticky', top: 0, zIndex: 50,
+        background: 'rgba(8,8,12,0.92)', backdropFilter: 'blur(16px)',
+        borderBottom: '1px solid var(--border)',
+        padding: '12px 24px',
+        display: 'flex', alignItems: 'center', justifyContent: 'space-between',
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+          <span style={{ fontSize: 22 }}>🔥</span>
+          <span style={{ fontFamily: 'var(--font-mono)', fontSize: 13, fontWeight: 700, color: 'var(--accent)', letterSpacing: 1 }}>
+            FOUNDER WISDOM
+          </span>
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 20, fontSize: 13, color: 'var(--text-muted)' }}>
+          <span><b style={{ color: 'var(--accent)' }}>{meta.withTranscripts}</b> interviews</span>
+          <span><b style={{ color: 'var(--accent)' }}>{formatNumber(meta.totalWords)}</b> words</span>
+          {sources.length > 1 && sources.map(s => (
+            <span key={s.id} title={`${s.count} interviews from ${s.label}`}>
+              {s.label} <b style={{ color: 'var(--text)' }}>{s.count}</b>
+            </span>
+          ))}
+          <button
+            onClick={() => setShowCollections(!showCollections)}
+            style={{
+              background: showCollections ? 'rgba(245,158,11,0.12)' : 'transparent',
+              border: `1px solid ${showCollections ? 'var(--accent)' : 'var(--border)'}`,
+              color: showCollections ? 'var(--accent)' : 'var(--text-muted)',
+              padding: '5px 12px', borderRadius: 14, cursor: 'pointer', fontSize: 12,
+            }}
+          >
+            📚 Collections {collections.collections.length > 0 && <b style={{ color: 'var(--text)' }}>{collections.collections.length}</b>}
+          </button>
+        </div>
+      </header>
+
+      {showCollections && <CollectionsPanel collections={collections} onClose={() => setShowCollections(false)} />}
+
+      {/* ─── Hero / Search ─── */}
+      <div style={{ maxWidth: 780, margin: '0 auto', padding: '48px 20px 0' }}>
+        {!searched && (
+          <div className="fade-in" style={{ textAlign: 'center', marginBottom: 40 }}>
+            <div style={{ fontFamily: 'var(--font-mono)', fontSize: 12, color: 'var(--accent)', letterSpacing: 3, marginBottom: 12, textTransform: 'uppercase' }}>
+              {sources.length === 1 ? sources[0].label : 'Founder Interviews'} × AI
+            </div>
+            <h1 style={{ fontSize: 38, fontWeight: 700, lineHeight: 1.15, marginBottom: 14 }}>
+              The collective wisdom of<br />
+              <span style={{ color: 'var(--accent)' }}>{meta.withTranscripts} founder interviews</span>
+            </h1>
+            <p style={{ fontSize: 16, color: 'var(--text-muted)', lineHeight: 1.6, maxWidth: 520, margin: '0 auto' }}>
+              Every interview from {sources.map(s => s.label).join(', ')}, transcribed and searchable.
+              Ask anything — get answers backed by real founders.
+            </p>
+          </div>
+        )}
+
+        {/* Search bar */}
+        <div style={{
+          display: 'flex', background: 'var(--surface)', borderRadius: 14,
+          border: '1px solid var(--border)', overflow: 'hidden',
+          boxShadow: '0 4px 24px rgba(0,0,0,0.3)',
+        }}>
+          <input
+            ref={inputRef}
+            type="text"
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder={searchMode === 'ai'
+              ? 'Ask anything... "How do founders get their first 10 customers?"'
+              : searchMode === 'semantic'
+                ? 'Describe it... "getting first users without ads"'
+                : searchMode === 'compare'
+                  ? 'Where do founders disagree?... "should I raise money"'
+                  : 'Search keywords... "cold email" model:saas mrr:>10k'}
+            style={{
+              flex: 1, background: 'transparent', border: 'none',
+              color: 'var(--text)', padding: '18px 22px', fontSize: 16,
+            }}
+          />
+          <button
+            onClick={handleSearch}
+            disabled={busy || !index || !query.trim()}
+            style={{
+              background: busy ? '#333' : 'var(--accent)',
+              border: 'none', color: '#000', padding: '0 30px',
+              fontSize: 15, fontWeight: 700, cursor: busy ? 'wait' : 'pointer',
+              transition: 'opacity 0.2s', opacity: !query.trim() ? 0.4 : 1,
+            }}
+          >
+            {busy || !index ? '...' : 'Search'}
+          </button>
+        </div>
+
+        {/* Mode toggle */}
+        <div style={{ display: 'flex', gap: 8, marginTop: 14 }}>
+          {['ai', 'compare', 'semantic', 'keyword'].filter(mode => mode === usableMode(mode)).map(mode => (
+            <button
+              key={mode}
+              onClick={() => setSearchMode(mode)}
+              style={{
+                background: searchMode === mode ? (mode === 'ai' ? 'rgba(245,158,11,0.12)' : 'rgba(136,136,160,0.12)') : 'transparent',
+                border: `1px solid ${searchMode === mode ? (mode === 'ai' ? 'var(--accent)' : 'var(--text-muted)') : 'var(--border)'}`,
+                color: searchMode === mode ? (mode === 'ai' ? 'var(--accent)' : 'var(--text)') : 'var(--text-muted)',
+                padding: '7px 18px', borderRadius: 20, cursor: 'pointer',
+                fontSize: 13, fontWeight: 500, transition: 'all 0.2s',
+              }}
+            >
+              {{ ai: '🧠 AI Answer', compare: '⚖️ Compare', semantic: '🧭 Semantic', keyword: '⚡ Keyword' }[mode]}
+            </button>
+          ))}
+
+          {searchMode === 'semantic' && (
+            <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 13, color: 'var(--text-muted)', cursor: 'pointer' }}>
+              <input type="checkbox" checked={hybrid} onChange={e => setHybrid(e.target.checked)} />
+              Blend keywords
+            </label>
+          )}
+
+          {!searched && (
+            <button
+              onClick={() => {
+                if (topic) openTopic(null);
+                setShowAllVideos(!showAllVideos || !!topic);
+              }}
+              style={{
+                background: 'transparent', border: '1px solid var(--border)',
+                color: 'var(--text-muted)', padding: '7px 18px', borderRadius: 20,
+                cursor: 'pointer', fontSize: 13, marginLeft: 'auto',
+              }}
+            >
+              {showAllVideos && !topic ? 'Hide' : 'Browse'} all interviews
+            </button>
+          )}
+        </div>
+
+        {/* Source facet */}
+        {sources.length > 1 && (
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, marginTop: 12 }}>
+            {[{ id: 'all', label: 'All sources', count: allVideos.length }, ...sources].map(s => (
+              <button
+                key={s.id}
+                onClick={() => setSourceFilter(s.id)}
+                style={{
+                  background: sourceFilter === s.id ? 'rgba(136,136,160,0.12)' : 'transparent',
+                  border: `1px solid ${sourceFilter === s.id ? 'var(--text-muted)' : 'var(--border)'}`,
+                  color: sourceFilter === s.id ? 'var(--text)' : 'var(--text-muted)',
+                  padding: '4px 12px', borderRadius: 14, cursor: 'pointer', fontSize: 12,
+                }}
+              >
+                {s.label} <span style={{ opacity: 0.6 }}>{s.count}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Suggested queries */}
+        {!searched && (
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, marginTop: 20, justifyContent: 'center' }}>
+            {savedThread.length > 0 && (
+              <button
+                onClick={() => restoreThread(savedThread)}
+                style={{
+                  background: 'rgba(245,158,11,0.08)', border: '1px solid rgba(245,158,11,0.3)',
+                  color: 'var(--accent)', padding: '8px 16px', borderRadius: 8,
+                  cursor: 'pointer', fontSize: 13,
+                }}
+              >
+                ↺ Resume: {savedThread[0].question.slice(0, 40)}{savedThread[0].question.length > 40 ? '…' : ''}
+              </button>
+            )}
+            {/* The biggest taxonomy topics' questions — clusters only fill in */}
+            {[...topics.filter(t => t.kind !== 'cluster'), ...topics.filter(t => t.kind === 'cluster')].slice(0, 6).map(t => t.query).map(q => (
+              <button
+                key={q}
+                onClick={() => runSearch(q, 'ai')}
+                style={{
+                  background: 'var(--surface)', border: '1px solid var(--border)',
+                  color: 'var(--text-muted)', padding: '8px 16px', borderRadius: 8,
+                  cursor: 'pointer', fontSize: 13, transition: 'all 0.2s',
+                }}
+                onMouseOver={e => { e.target.style.borderColor = 'var(--accent)'; e.target.style.color = 'var(--accent)'; }}
+                onMouseOut={e => { e.target.style.borderColor = 'var(--border)'; e.target.style.color = 'var(--text-muted)'; }}
+              >
+                {q}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Topic browser */}
+        {!searched && topics.length > 0 && (
+          <div style={{ marginTop: 28 }}>
+            <div style={{ fontFamily: 'var(--font-mono)', fontSize: 11, color: 'var(--accent)', letterSpacing: 2, marginBottom: 10, textTransform: 'uppercase' }}>
+              Browse by topic
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(170px, 1fr))', gap: 8 }}>
+              {topics.map(t => (
+                <button
+                  key={t.id}
+                  onClick={() => openTopic(topic === t.id ? null : t.id)}
+                  style={{
+                    background: topic === t.id ? 'rgba(245,158,11,0.12)' : 'var(--surface)',
+                    border: `1px solid ${topic === t.id ? 'var(--accent)' : 'var(--border)'}`,
+                    color: topic === t.id ? 'var(--accent)' : 'var(--text)',
+                    padding: '10px 14px', borderRadius: 10, cursor: 'pointer', fontSize: 13,
+                    display: 'flex', justifyContent: 'space-between', gap: 8, textAlign: 'left',
+                  }}
+                >
+                  <span>{t.label}</span>
+                  <span style={{ color: 'var(--text-muted)' }}>{t.count}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* ─── Results Area ─── */}
+      <div style={{ maxWidth: 780, margin: '0 auto', padding: '24px 20px 60px' }}>
+        {/* AI Answer */}
+        {aiLoading && !aiAnswer && thread.length === 0 && (
+          <div className="fade-in" style={{
+            background: 'linear-gradient(135deg, rgba(245,158,11,0.06), rgba(239,68,68,0.06))',
+            border: '1px solid rgba(245,158,11,0.15)', borderRadius: 14, padding: 28, marginBottom: 24,
+          }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+              <div style={{ fontFamily: 'var(--font-mono)', fontSize: 11, color: 'var(--accent)', letterSpacing: 2 }}>
+                🧠 SYNTHESIZING ANSWERS FROM {aiInterviews ?? '...'} INTERVIEW{aiInterviews === 1 ? '' : 'S'}
+              </div>
+              <CancelButton onClick={cancelAi} />
+            </div>
+            <div className="pulse" style={{ color: 'var(--text-muted)', fontSize: 15 }}>
+              Reading through transcripts and composing answer...
+            </div>
+          </div>
+        )}
+
+        {(aiAnswer || thread.length > 0 || (aiError && !aiLoading)) && (
+          <div className="fade-in" style={{
+            background: 'linear-gradient(135deg, rgba(245,158,11,0.06), rgba(239,68,68,0.06))',
+            border: '1px solid rgba(245,158,11,0.15)', borderRadius: 14, padding: 28, marginBottom: 24,
+          }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 14 }}>
+              <div style={{ fontFamily: 'var(--font-mono)', fontSize: 11, color: 'var(--accent)', letterSpacing: 2 }}>
+                🧠 AI SYNTHESIS{aiInterviews != null && ` — ${aiInterviews} INTERVIEW${aiInterviews === 1 ? '' : 'S'} ANALYZED`}
+              </div>
+              {aiLoading && <CancelButton onClick={cancelAi} />}
+            </div>
+            {/* Earlier turns of the conversation */}
+            {thread.map((turn, i) => (
+              <div key={i} style={{ marginBottom: 20, paddingBottom: 20, borderBottom: '1px solid rgba(245,158,11,0.12)' }}>
+                <div style={{ fontSize: 14, fontWeight: 600, color: 'var(--text)', marginBottom: 8 }}>{turn.question}</div>
+                <AnswerText text={turn.answer} citations={turn.citations} onCite={openCitation} />
+              </div>
+            ))}
+            {thread.length > 0 && (
+              <div style={{ fontSize: 14, fontWeight: 600, color: 'var(--text)', marginBottom: 8 }}>{aiQuestion}</div>
+            )}
+
+            <AnswerText text={aiAnswer} citations={aiCitations} onCite={openCitation} streaming={aiLoading} />
+
+            {aiError && (
+              <div style={{ marginTop: aiAnswer ? 14 : 0, fontSize: 14, color: 'var(--accent-red)' }}>
+                ⚠ {aiError}
+              </div>
+            )}
+
+            {aiCitations.length > 0 && (
+              <div style={{ marginTop: 18, paddingTop: 14, borderTop: '1px solid rgba(245,158,11,0.12)', display: 'flex', flexDirection: 'column', gap: 6 }}>
+                {aiCitations.map(c => (
+                  <a
+                    key={c.ref}
+                    href={c.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    style={{ fontSize: 13, color: 'var(--text-muted)', display: 'flex', gap: 8 }}
+                  >
+                    <span style={{ fontFamily: 'var(--font-mono)', color: 'var(--accent)' }}>[{c.ref}]</span>
+                    <span>{c.title}</span>
+                    {c.timestamp != null && <span style={{ color: 'var(--accent-red)' }}>▶ {formatTimestamp(c.timestamp)}</span>}
+                  </a>
+                ))}
+              </div>
+            )}
+
+            {/* Follow-up */}
+            {!aiLoading && aiAnswer && (
+              <div style={{ marginTop: 18, display: 'flex', gap: 8, alignItems: 'center' }}>
+                <input
+                  type="text"
+                  value={followUp}
+                  onChange={e => setFollowUp(e.target.value)}
+                  onKeyDown={e => { if (e.key === 'Enter') askFollowUp(); }}
+                  placeholder='Ask a follow-up... "what about for B2B?"'
+                  style={{
+                    flex: 1, background: 'var(--surface)', border: '1px solid var(--border)',
+                    color: 'var(--text)', padding: '10px 14px', borderRadius: 10, fontSize: 14,
+                  }}
+                />
+                <button
+                  onClick={askFollowUp}
+                  disabled={!followUp.trim()}
+                  style={{
+                    background: 'var(--accent)', border: 'none', color: '#000', padding: '10px 16px',
+                    borderRadius: 10, fontSize: 13, fontWeight: 700, cursor: 'pointer', opacity: followUp.trim() ? 1 : 0.4,
+                  }}
+                >
+                  Ask
+                </button>
+                <button
+                  onClick={shareThread}
+                  title="Copy a link to this conversation"
+                  style={{
+                    background: 'transparent', border: '1px solid var(--border)', color: 'var(--text-muted)',
+                    padding: '10px 14px', borderRadius: 10, fontSize: 13, cursor: 'pointer', whiteSpace: 'nowrap',
+                  }}
+                >
+                  {shareStatus || '🔗 Share'}
+                </button>
+                <button
+                  onClick={() => {
+                    const turns = [...thread, { question: aiQuestion, answer: aiAnswer, citations: aiCitations }];
+                    downloadText(exportFilename(turns[0].question, 'md'), answerToMarkdown(turns), 'text/markdown');
+                  }}
+                  title="Download this answer and its sources as Markdown"
+                  style={{
+                    background: 'transparent', border: '1px solid var(--border)', color: 'var(--text-muted)',
+                    padding: '10px 14px', borderRadius: 10, fontSize: 13, cursor: 'pointer', whiteSpace: 'nowrap',
+                  }}
+                >
+                  ⬇ Markdown
+                </button>
+                <SaveMenu
+                  collections={collections}
+                  label="＋ Save answer"
+                  item={() => ({ kind: 'answer', question: aiQuestion, answer: aiAnswer, citations: aiCitations })}
+                  style={{ padding: '10px 14px', borderRadius: 10, fontSize: 13, fontWeight: 400 }}
+                />
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Interviews picked to compare */}
+        {picked.length > 0 && (
+          <div style={{
+            display: 'flex', alignItems: 'center', gap: 10, flexWrap: 'wrap',
+            background: 'var(--surface)', border: '1px solid rgba(245,158,11,0.3)',
+            borderRadius: 12, padding: '12px 16px', marginBottom: 16, fontSize: 13,
+          }}>
+            <span style={{ color: 'var(--accent)', fontWeight: 600 }}>⚖️ {picked.length} of {MAX_PICKED} picked</span>
+            <span style={{ color: 'var(--text-muted)', flex: 1, minWidth: 120, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              {picked.map(id => videosById.get(id)?.title || id).join(' · ')}
+            </span>
+            <button
+              onClick={() => doCompare(picked)}
+              disabled={picked.length < 2 || !query.trim() || busy}
+              title={picked.length < 2 ? 'Pick at least 2 interviews' : !query.trim() ? 'Type what to compare them on' : ''}
+              style={{
+                background: 'var(--accent)', color: '#000', border: 'none', padding: '6px 14px',
+                borderRadius: 8, fontSize: 12, fontWeight: 700, cursor: 'pointer',
+                opacity: picked.length < 2 || !query.trim() || busy ? 0.4 : 1,
+              }}
+            >
+              Compare {picked.length}
+            </button>
+            <button
+              onClick={() => setPicked([])}
+              style={{ background: 'transparent', border: 'none', color: 'var(--text-muted)', fontSize: 12, cursor: 'pointer' }}
+            >
+              ✕ Clear
+            </button>
+          </div>
+        )}
+
+        {/* Comparison */}
+        {comparison && (
+          <ComparisonPanel comparison={comparison} onCancel={cancelCompare} onCite={openCitation} />
+        )}
+
+        {semanticError && searchMode === 'semantic' && (
+          <div style={{ fontSize: 13, color: 'var(--accent-red)', marginBottom: 12 }}>
+            Semantic search unavailable ({semanticError}). Showing keyword results.
+          </div>
+        )}
+
+        {/* Filters and order */}
+        {((searched && pool.length > 0) || browsing) && (
+          <FacetBar
+            counts={counts}
+            selected={facets}
+            onChange={setFacets}
+            sort={activeSort}
+            sorts={Object.keys(SORT_LABELS).filter(s => searched || s !== 'relevance')}
+            onSort={setSort}
+          />
+        )}
+
+        {/* Result count */}
+        {searched && pool.length > 0 && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: 12, fontSize: 13, color: 'var(--text-muted)', marginBottom: 16 }}>
+            <span style={{ flex: 1 }}>
+              {ordered.length} matching interview{ordered.length !== 1 ? 's' : ''}
+              {ordered.length < pool.length && ` (${pool.length - ordered.length} filtered out)`}
+            </span>
+            <SaveMenu
+              collections={collections}
+              label="☆ Save search"
+              item={() => {
+                const { q, mode } = readSearchParams(new URLSearchParams(window.location.search));
+                return { kind: 'search', q, mode, href: searchHref({ q, mode }) };
+              }}
+              style={{ fontWeight: 400 }}
+            />
+            {['csv', 'json'].map(format => (
+              <button
+                key={format}
+                onClick={() => exportResults(format)}
+                title={`Download all ${ordered.length} results as ${format.toUpperCase()}`}
+                style={{
+                  background: 'transparent', border: '1px solid var(--border)', color: 'var(--text-muted)',
+                  padding: '6px 12px', borderRadius: 8, fontSize: 12, cursor: 'pointer', whiteSpace: 'nowrap',
+                }}
+              >
+                ⬇ {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* No results */}
+        {searched && pool.length === 0 && !busy && (
+          <div style={{ textAlign: 'center', padding: '60px 20px', color: 'var(--text-muted)' }}>
+            <div style={{ fontSize: 48, marginBottom: 16 }}>🔍</div>
+            <div style={{ fontSize: 16 }}>No matching interviews for &ldquo;{query}&rdquo;</div>
+            <div style={{ fontSize: 14, marginTop: 8 }}>Try broader terms or a different question</div>
+          </div>
+        )}
+
+        {/* Video results */}
+        {results.map((video, idx) => (
+          <VideoCard
+            key={video.id + '-' + idx}
+            video={{ ...video, ...shards[video.id] }}
+            query={query}
+            isExpanded={expandedId === video.id}
+            onToggle={() => setExpandedId(expandedId === video.id ? null : video.id)}
+            index={idx % PAGE_SIZE}
+            topicLabels={topicLabels}
+            onTopic={openTopic}
+            collections={collections}
+            picked={picked.includes(video.id)}
+            onPick={picked.length < MAX_PICKED || picked.includes(video.id) ? () => togglePicked(video.id) : null}
+          />
+        ))}
+
+        {/* Browse all videos */}
+        {browsing && (
+          <div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 12, fontSize: 14, color: 'var(--text-muted)', marginBottom: 16, fontWeight: 500 }}>
+              {topic && <span style={{ color: 'var(--accent)' }}>{topicLabels.get(topic) || topic} —</span>}
+              <span>
+                {ordered.length === pool.length
+                  ? `${topic ? '' : 'All '}${ordered.length} interviews`
+                  : `${ordered.length} of ${pool.length} interviews`}
+              </span>
+              {topic && (
+                <button
+                  onClick={() => openTopic(null)}
+                  style={{ marginLeft: 'auto', background: 'transparent', border: 'none', color: 'var(--text-muted)', fontSize: 12, cursor: 'pointer' }}
+                >
+                  ✕ All topics
+                </button>
+              )}
+            </div>
+            {ordered.slice(0, limit).map(({ id }, idx) => {
+              const video = videosById.get(id);
+              return (
+                <VideoCard
+                  key={id + '-browse-' + idx}
+                  video={{ ...video, ...shards[id], excerpt: (shards[id]?.transcript || video.description || '').slice(0, 250) + '...' }}
+                  query=""
+                  isExpanded={expandedId === id}
+                  onToggle={() => setExpandedId(expandedId === id ? null : id)}
+                  index={idx % PAGE_SIZE}
+                  topicLabels={topicLabels}
+                  onTopic={openTopic}
+                  collections={collections}
+                  picked={picked.includes(id)}
+                  onPick={picked.length < MAX_PICKED || picked.includes(id) ? () => togglePicked(id) : null}
+                />
+              );
+            })}
+          </div>
+        )}
+
+        {/* Next page */}
+        {(searched || browsing) && ordered.length > limit && (
+          <button
+            onClick={() => setLimit(limit + PAGE_SIZE)}
+            style={{
+              display: 'block', width: '100%', marginTop: 6, background: 'transparent',
+              border: '1px solid var(--border)', color: 'var(--text-muted)', padding: '12px 0',
+              borderRadius: 12, cursor: 'pointer', fontSize: 13,
+            }}
+          >
+            Show {Math.min(PAGE_SIZE, ordered.length - limit)} more of {ordered.length - limit} remaining
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── Facet Bar ───────────────────────────────────────────────────
+
+function FacetBar({ counts, selected, onChange, sort, sorts, onSort }) {
+  const toggle = (name, value) => {
+    const values = selected[name] || [];
+    onChange({ ...selected, [name]: values.includes(value) ? values.filter(v => v !== value) : [...values, value] });
+  };
+  const filtered = Object.values(selected).some(values => values?.length);
+  const label = { width: 56, fontFamily: 'var(--font-mono)', fontSize: 10, color: 'var(--text-muted)', letterSpacing: 1, textTransform: 'uppercase' };
+
+  return (
+    <div style={{
+      background: 'var(--surface)', border: '1px solid var(--border)', borderRadius: 12,
+      padding: '14px 18px', marginBottom: 16, display: 'flex', flexDirection: 'column', gap: 8,
+    }}>
+      {FACETS.filter(name => counts[name]?.length).map(name => (
+        <div key={name} style={{ display: 'flex', alignItems: 'center', gap: 6, flexWrap: 'wrap' }}>
+          <span style={label}>{FACET_LABELS[name]}</span>
+          {counts[name].map(({ value, label: text, count }) => {
+            const on = selected[name]?.includes(value);
+            return (
+              <button
+                key={value}
+                onClick={() => toggle(name, value)}
+                disabled={!on && count === 0}
+                style={{
+                  background: on ? 'rgba(245,158,11,0.12)' : 'transparent',
+                  border: `1px solid ${on ? 'var(--accent)' : 'var(--border)'}`,
+                  color: on ? 'var(--accent)' : 'var(--text-muted)',
+                  padding: '3px 10px', borderRadius: 12, fontSize: 12,
+                  cursor: !on && count === 0 ? 'default' : 'pointer', opacity: !on && count === 0 ? 0.4 : 1,
+                }}
+              >
+                {text} <span style={{ opacity: 0.6 }}>{count}</span>
+              </button>
+            );
+          })}
+        </div>
+      ))}
+      <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+        <span style={label}>Sort</span>
+        <select
+          value={sort}
+          onChange={e => onSort(e.target.value)}
+          style={{
+            background: 'var(--bg)', border: '1px solid var(--border)', color: 'var(--text)',
+            padding: '4px 8px', borderRadius: 8, fontSize: 12,
+          }}
+        >
+          {sorts.map(s => <option key={s} value={s}>{SORT_LABELS[s]}</option>)}
+        </select>
+        {filtered && (
+          <button
+            onClick={() => onChange({})}
+            style={{ marginLeft: 'auto', background: 'transparent', border: 'none', color: 'var(--accent)', fontSize: 12, cursor: 'pointer' }}
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── Profile Facts ───────────────────────────────────────────────
+
+function ProfileFacts({ video }) {
+  const facts = profileFacts(video);
+  if (!facts.length) return null;
+  return (
+    <div style={{ display: 'flex', gap: 6, marginTop: 8, flexWrap: 'wrap' }}>
+      {facts.map(f => (
+        <span
+          key={f.key}
+          style={{
+            background: 'rgba(136,136,160,0.1)', border: '1px solid var(--border)', color: 'var(--text)',
+            padding: '2px 8px', borderRadius: 6, fontSize: 11,
+          }}
+        >
+          {f.text}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// ─── Comparison Panel ────────────────────────────────────────────
+
+function ComparisonPanel({ comparison, onCancel, onCite }) {
+  const { question, loading, error, result } = comparison;
+  const clusterOf = new Map();
+  result?.clusters.forEach((c, i) => c.interviews.forEach(n => clusterOf.set(n, i)));
+
+  return (
+    <div style={{
+      background: 'var(--surface)', border: '1px solid var(--border)',
+      borderRadius: 16, padding: 28, marginBottom: 24,
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 16 }}>
+        <div style={{ fontFamily: 'var(--font-mono)', fontSize: 11, color: 'var(--accent)', letterSpacing: 2, textTransform: 'uppercase' }}>
+          ⚖️ How founders differ
+        </div>
+        <div style={{ fontSize: 13, color: 'var(--text-muted)', flex: 1 }}>— {question}</div>
+        {loading && <CancelButton onClick={onCancel} />}
+      </div>
+
+      {loading && (
+        <div className="pulse" style={{ fontSize: 14, color: 'var(--text-muted)' }}>Comparing interviews...</div>
+      )}
+      {error && <div style={{ fontSize: 14, color: 'var(--accent-red)' }}>{error}</div>}
+
+      {result && (
+        <>
+          {result.summary && (
+            <div style={{ fontSize: 15, lineHeight: 1.7, color: '#ccc', marginBottom: 18 }}>{result.summary}</div>
+          )}
+
+          {/* Camps of founders who broadly agree */}
+          {result.clusters.length > 0 && (
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: 10, marginBottom: 20 }}>
+              {result.clusters.map((c, i) => (
+                <div
+                  key={i}
+                  style={{
+                    border: `1px solid ${CLUSTER_COLORS[i % CLUSTER_COLORS.length]}55`,
+                    borderLeft: `3px solid ${CLUSTER_COLORS[i % CLUSTER_COLORS.length]}`,
+                    borderRadius: 10, padding: '10px 14px',
+                  }}
+                >
+                  <div style={{ fontSize: 13, fontWeight: 600, color: CLUSTER_COLORS[i % CLUSTER_COLORS.length] }}>
+                    {c.label} · {c.interviews.length}
+                  </div>
+                  {c.summary && <div style={{ fontSize: 12, lineHeight: 1.6, color: 'var(--text-muted)', marginTop: 4 }}>{c.summary}</div>}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+              <thead>
+                <tr style={{ textAlign: 'left', color: 'var(--text-muted)', fontSize: 11, textTransform: 'uppercase', letterSpacing: 1 }}>
+                  <th style={{ padding: '6px 8px' }}>Founder</th>
+                  <th style={{ padding: '6px 8px' }}>Position</th>
+                  <th style={{ padding: '6px 8px' }}>In their words</th>
+                  <th style={{ padding: '6px 8px' }}>Source</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.positions.map(p => {
+                  const cluster = clusterOf.get(p.interview);
+                  const color = cluster != null ? CLUSTER_COLORS[cluster % CLUSTER_COLORS.length] : 'var(--border)';
+                  return (
+                    <tr key={p.interview} style={{ borderTop: '1px solid var(--border)', verticalAlign: 'top' }}>
+                      <td style={{ padding: '10px 8px', borderLeft: `3px solid ${color}`, minWidth: 120 }}>
+                        <div style={{ fontWeight: 600 }}>{p.founder || '—'}</div>
+                        {p.stance && <div style={{ fontSize: 11, color, marginTop: 2 }}>{p.stance}</div>}
+                      </td>
+                      <td style={{ padding: '10px 8px', lineHeight: 1.6, color: '#ccc' }}>{p.position}</td>
+                      <td style={{ padding: '10px 8px', lineHeight: 1.6, color: 'var(--text-muted)', fontStyle: 'italic' }}>
+                        {p.quote && <>&ldquo;{p.quote}&rdquo;</>}
+                        {p.quote && !p.verified && (
+                          <span
+                            title="This quote couldn't be found in the interview's transcript — check the source"
+                            style={{ fontStyle: 'normal', color: 'var(--accent-red)', marginLeft: 6 }}
+                          >
+                            ⚠ unverified
+                          </span>
+                        )}
+                      </td>
+                      <td style={{ padding: '10px 8px', minWidth: 140 }}>
+                        {p.citation ? (
+                          <button
+                            onClick={() => onCite(p.citation)}
+                            title={p.title}
+                            style={{
+                              background: 'transparent', border: 'none', color: 'var(--accent)', padding: 0,
+                              cursor: 'pointer', fontSize: 12, textAlign: 'left', lineHeight: 1.5,
+                            }}
+                          >
+                            {p.title}
+                            {p.citation.timestamp != null && (
+                              <span style={{ fontFamily: 'var(--font-mono)', marginLeft: 4 }}>@ {formatTimestamp(p.citation.timestamp)}</span>
+                            )}
+                          </button>
+                        ) : (
+                          <span style={{ fontSize: 12, color: 'var(--text-muted)' }}>{p.title}</span>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Cancel Button ───────────────────────────────────────────────
+
+function CancelButton({ onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      style={{
+        background: 'transparent', border: '1px solid var(--border)',
+        color: 'var(--text-muted)', padding: '4px 12px', borderRadius: 14,
+        cursor: 'pointer', fontSize: 12,
+      }}
+    >
+      ■ Stop
+    </button>
+  );
+}
+
+// ─── Answer Text ─────────────────────────────────────────────────
+
+function AnswerText({ text, citations, onCite, streaming }) {
+  return (
+    <div style={{ fontSize: 15, lineHeight: 1.8, color: '#ccc', whiteSpace: 'pre-wrap' }}>
+      {splitCitations(text).map((part, i) => {
+        const citation = part.ref && citations.find(c => c.ref === part.ref);
+        if (citation) return <CitationChip key={i} citation={citation} onClick={() => onCite(citation)} />;
+        return <span key={i}>{part.text ?? `[${part.ref}]`}</span>;
+      })}
+      {streaming && <span className="pulse" style={{ color: 'var(--accent)' }}>▍</span>}
+    </div>
+  );
+}
+
+// ─── Citation Chip ───────────────────────────────────────────────
+
+function CitationChip({ citation, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      title={`${citation.title}${citation.timestamp != null ? ' @ ' + formatTimestamp(citation.timestamp) : ''}`}
+      style={{
+        background: 'rgba(245,158,11,0.12)', border: '1px solid rgba(245,158,11,0.3)',
+        color: 'var(--accent)', padding: '0 6px', margin: '0 2px', borderRadius: 6,
+        fontFamily: 'var(--font-mono)', fontSize: 11, cursor: 'pointer', verticalAlign: 'middle',
+      }}
+    >
+      {citation.ref}
+    </button>
+  );
+}
+
+// ─── Video Card Component ────────────────────────────────────────
+
+function VideoCard({ video, query, isExpanded, onToggle, index, topicLabels, onTopic, collections, picked, onPick }) {
+  const excerptParts = query ? highlightTerms(video.excerpt || '', query) : [{ text: video.excerpt || '', highlight: false }];
+
+  return (
+    <div
+      id={`video-${video.id}`}
+      className="fade-in"
+      style={{
+        background: 'var(--surface)', border: '1px solid var(--border)',
+        borderRadius: 12, padding: 22, marginBottom: 10,
+        transition: 'border-color 0.2s', cursor: 'pointer',
+        animationDelay: `${index * 40}ms`, animationFillMode: 'both',
+      }}
+      onClick={onToggle}
+      onMouseOver={e => e.currentTarget.style.borderColor = '#333'}
+      onMouseOut={e => e.currentTarget.style.borderColor = 'var(--border)'}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 16 }}>
+        <div style={{ flex: 1 }}>
+          <h3 style={{ fontSize: 16, fontWeight: 600, lineHeight: 1.35, margin: 0 }}>
+            {video.title}
+          </h3>
+          <div style={{ display: 'flex', gap: 14, marginTop: 8, fontSize: 12, color: 'var(--text-muted)', flexWrap: 'wrap' }}>
+            {video.channelTitle && <span>📺 {video.channelTitle}</span>}
+            <span>📅 {formatDate(video.publishedAt || video.upload_date)}</span>
+            <span>⏱ {video.durationFormatted || video.duration_formatted}</span>
+            <span>👁 {formatNumber(video.viewCount || video.views)}</span>
+            <span>📝 {formatNumber(video.wordCount || video.word_count)} words</span>
+            {video.transcriptSource === 'asr' && (
+              <span title="No captions on YouTube — transcribed from the audio, so expect some errors">🎙 auto-transcribed</span>
+            )}
+          </div>
+          <ProfileFacts video={video} />
+          {video.topics?.length > 0 && (
+            <div style={{ display: 'flex', gap: 6, marginTop: 8, flexWrap: 'wrap' }}>
+              {video.topics.filter(id => topicLabels?.has(id)).map(id => (
+                <button
+                  key={id}
+                  onClick={e => { e.stopPropagation(); onTopic(id); }}
+                  style={{
+                    background: 'transparent', border: '1px solid rgba(245,158,11,0.3)', color: 'var(--accent)',
+                    padding: '1px 8px', borderRadius: 10, fontSize: 11, cursor: 'pointer',
+                  }}
+                >
+                  #{topicLabels.get(id)}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 6, alignItems: 'stretch' }}>
+          <a
+            href={watchUrl(video.url, video.excerptTimestamp)}
+            target="_blank"
+            rel="noopener noreferrer"
+            onClick={e => e.stopPropagation()}
+            style={{
+              background: 'rgba(239,68,68,0.1)', border: '1px solid rgba(239,68,68,0.25)',
+              color: 'var(--accent-red)', padding: '6px 14px', borderRadius: 8,
+              fontSize: 12, fontWeight: 600, whiteSpace: 'nowrap',
+            }}
+          >
+            ▶ Watch{video.excerptTimestamp ? ` at ${formatTimestamp(video.excerptTimestamp)}` : ''}
+          </a>
+          <a
+            href={`/interview/${encodeURIComponent(video.id)}${query ? `?find=${encodeURIComponent(query)}` : ''}`}
+            onClick={e => e.stopPropagation()}
+            style={{
+              border: '1px solid var(--border)', color: 'var(--text-muted)', padding: '6px 14px',
+              borderRadius: 8, fontSize: 12, fontWeight: 600, whiteSpace: 'nowrap', textAlign: 'center',
+            }}
+          >
+            📖 Read
+          </a>
+          <SaveMenu
+            collections={collections}
+            item={() => ({ kind: 'interview', videoId: video.id, title: video.title, url: video.url })}
+          />
+          {onPick && (
+            <button
+              onClick={e => { e.stopPropagation(); onPick(); }}
+              title="Compare this founder's view with others"
+              style={{
+                background: picked ? 'rgba(245,158,11,0.12)' : 'transparent',
+                border: `1px solid ${picked ? 'rgba(245,158,11,0.4)' : 'var(--border)'}`,
+                color: picked ? 'var(--accent)' : 'var(--text-muted)', padding: '6px 14px',
+                borderRadius: 8, fontSize: 12, fontWeight: 600, whiteSpace: 'nowrap', cursor: 'pointer',
+              }}
+            >
+              {picked ? '✓ Picked' : '⚖ Compare'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Excerpt */}
+      {video.excerpt && (
+        <div style={{
+          marginTop: 14, fontSize: 14, lineHeight: 1.75, color: 'var(--text-muted)',
+          borderLeft: '2px solid rgba(245,158,11,0.2)', paddingLeft: 16,
+        }}>
+          {excerptParts.map((part, i) =>
+            part.highlight
+              ? <mark key={i}>{part.text}</mark>
+              : <span key={i}>{part.text}</span>
+          )}
+        </div>
+      )}
+
+      {/* Expanded transcript */}
+      {isExpanded && video.transcript && (
+        <div style={{ marginTop: 18, paddingTop: 18, borderTop: '1px solid var(--border)' }}>
+          <div style={{ fontFamily: 'var(--font-mono)', fontSize: 11, color: 'var(--accent)', letterSpacing: 2, marginBottom: 10, textTransform: 'uppercase' }}>
+            Full Transcript
+          </div>
+          <div style={{
+            fontSize: 14, lineHeight: 1.85, color: 'var(--text-muted)',
+            maxHeight: 500, overflowY: 'auto', paddingRight: 8,
+          }}>
+            {video.transcript}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
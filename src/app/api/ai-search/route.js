@@ -1,58 +1,101 @@
 import { NextResponse } from 'next/server';
+import { loadCorpus } from '../../../lib/corpus';
+import { selectPassages, videoSource } from '../../../lib/search';
+import { extractCitations } from '../../../lib/citations';
+import { encodeEvent } from '../../../lib/sse';
+import { llmFromEnv, LLMError } from '../../../lib/llm';
+import { buildMessages, buildSources, rewriteQuery, citedPassages, MAX_TURNS, CONTEXT_TOKENS } from '../../../lib/prompts';
 
 export async function POST(request) {
   try {
-    const { query, context } = await request.json();
+    // `history` holds earlier turns of a conversation: [{ question, answer, citations }];
+    // `source` limits the answer to one collected source
+    const { query, history, source } = await request.json();
 
-    if (!query || !context) {
-      return NextResponse.json({ error: 'Missing query or context' }, { status: 400 });
+    if (!query) {
+      return NextResponse.json({ error: 'Missing query' }, { status: 400 });
     }
 
-    const OPENAI_KEY = process.env.OPENAI_API_KEY;
-    if (!OPENAI_KEY) {
-      return NextResponse.json({
-        answer: 'AI search is not configured. Set OPENAI_API_KEY in environment variables. Keyword search still works!',
-      });
+    let llm;
+    try {
+      llm = llmFromEnv();
+    } catch (err) {
+      return NextResponse.json({ answer: err.message });
     }
 
-    const systemPrompt = `You are an expert analyst helping a user extract actionable wisdom from founder interview transcripts collected from the Starter Story YouTube channel. 
+    const upstream = new AbortController();
+    request.signal?.addEventListener('abort', () => upstream.abort());
 
-Your job:
-- Synthesize insights across multiple interviews to answer the user's question
-- Reference specific founders/companies by name when possible
-- Be concise, practical, and actionable
-- Use concrete numbers and examples from the transcripts
-- If the transcripts don't have relevant info, say so honestly
-- Format with short paragraphs, no bullet points unless specifically listing items`;
+    const turns = (Array.isArray(history) ? history : [])
+      .filter(t => typeof t?.question === 'string' && typeof t?.answer === 'string')
+      .slice(-MAX_TURNS);
 
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENAI_KEY}`,
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o',
-        max_tokens: 1200,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: `Based on these founder interview transcripts:\n\n${context}\n\n---\n\nQuestion: ${query}` },
-        ],
-      }),
+    // Follow-ups are retrieved as standalone queries, keeping what was cited so far
+    const corpus = loadCorpus();
+    const { index } = corpus;
+    const videosById = source
+      ? new Map([...corpus.videosById].filter(([, v]) => videoSource(v) === source))
+      : corpus.videosById;
+    const searchQuery = turns.length ? await rewriteQuery(llm, turns, query, { signal: upstream.signal }) : query;
+    const groups = selectPassages(index, videosById, searchQuery, {
+      maxTokens: CONTEXT_TOKENS,
+      pinned: citedPassages(turns, videosById),
     });
+    if (groups.length === 0) {
+      return NextResponse.json({
+        answer: 'No relevant interviews found for this query. Try different keywords.',
+        sources: [],
+        citations: [],
+      });
+    }
+    const sources = buildSources(groups);
 
-    if (!response.ok) {
-      const err = await response.text();
-      console.error('OpenAI API error:', err);
+    let tokens;
+    try {
+      tokens = await llm.stream(buildMessages(query, groups, turns), { signal: upstream.signal });
+    } catch (err) {
+      if (!(err instanceof LLMError)) throw err;
+      console.error(`${llm.name} API error:`, err.message);
       return NextResponse.json({
         answer: 'AI search temporarily unavailable. Try keyword search instead.',
       });
     }
 
-    const data = await response.json();
-    const answer = data.choices?.[0]?.message?.content || 'No response generated.';
+    // Stream: the retrieval query and sources first, then answer tokens, then
+    // the validated answer and its citations once the model is done
+    const stream = new ReadableStream({
+      async start(controller) {
+        let text = '';
+        try {
+          controller.enqueue(encodeEvent('query', { query: searchQuery }));
+          controller.enqueue(encodeEvent('sources', { sources }));
+          for await (const delta of tokens) {
+            text += delta;
+            controller.enqueue(encodeEvent('token', { text: delta }));
+          }
+          const { answer, citations } = extractCitations(text || 'No response generated.', sources);
+          controller.enqueue(encodeEvent('done', { answer, citations }));
+        } catch (err) {
+          // A cancelled request has nobody left to tell
+          if (!upstream.signal.aborted) {
+            console.error('AI search stream error:', err);
+            controller.enqueue(encodeEvent('error', { message: 'The answer was interrupted — the AI provider stopped responding.' }));
+          }
+        }
+        try { controller.close(); } catch {}
+      },
+      cancel() {
+        upstream.abort();
+      },
+    });
 
-    return NextResponse.json({ answer });
+    return new Response(stream, {
+      headers: {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+      },
+    });
   } catch (err) {
     console.error('AI search error:', err);
     return NextResponse.json({
@@ -0,0 +1,87 @@
+import { NextResponse } from 'next/server';
+import { loadCorpus } from '../../../lib/corpus';
+import { selectPassages, splitPassages, videoSource } from '../../../lib/search';
+import { llmFromEnv, complete, LLMError } from '../../../lib/llm';
+import { buildCompareMessages, buildSources, parseComparison, CONTEXT_TOKENS } from '../../../lib/prompts';
+
+// Interviews weighed when the model picks them itself
+const MAX_INTERVIEWS = 12;
+const MIN_PICKED = 2;
+const MAX_PICKED = 4;
+
+/**
+ * POST /api/compare { query, videoIds?, source? }
+ *
+ * How different founders answer one question, side by side instead of
+ * merged: { query, summary, positions, clusters, interviews } — see
+ * parseComparison. `videoIds` compares 2–4 distinct chosen interviews; without it
+ * the best-matching interviews are compared.
+ */
+export async function POST(request) {
+  try {
+    const { query, videoIds: requested, source } = await request.json();
+    // The same interview picked twice is still one interview
+    const videoIds = Array.isArray(requested) ? [...new Set(requested)] : requested;
+
+    if (!query) {
+      return NextResponse.json({ error: 'Missing query' }, { status: 400 });
+    }
+    if (videoIds != null && (!Array.isArray(videoIds) || videoIds.length < MIN_PICKED || videoIds.length > MAX_PICKED)) {
+      return NextResponse.json({ error: `Pick ${MIN_PICKED}–${MAX_PICKED} different interviews to compare` }, { status: 400 });
+    }
+
+    let llm;
+    try {
+      // A table of positions needs more room than a prose answer, so it
+      // gets its own limit (COMPARE_MAX_TOKENS) rather than LLM_MAX_TOKENS
+      llm = llmFromEnv({ ...process.env, LLM_MAX_TOKENS: process.env.COMPARE_MAX_TOKENS || '2500' });
+    } catch (err) {
+      return NextResponse.json({ error: err.message }, { status: 503 });
+    }
+
+    const corpus = loadCorpus();
+    let groups;
+    if (videoIds) {
+      const picked = new Map(videoIds.filter(id => corpus.videosById.has(id)).map(id => [id, corpus.videosById.get(id)]));
+      if (picked.size !== videoIds.length) {
+        return NextResponse.json({ error: 'Unknown interview' }, { status: 404 });
+      }
+      groups = selectPassages(corpus.index, picked, query, { maxTokens: CONTEXT_TOKENS, maxVideos: MAX_PICKED, perVideo: 4 });
+      // Chosen interviews are compared even when the query barely matches
+      // them — their opening passages say what they're about
+      for (const [id, video] of picked) {
+        if (!groups.some(g => g.video.id === id)) groups.push({ video, passages: splitPassages(video).slice(0, 2) });
+      }
+      groups.sort((a, b) => videoIds.indexOf(a.video.id) - videoIds.indexOf(b.video.id));
+    } else {
+      const videosById = source
+        ? new Map([...corpus.videosById].filter(([, v]) => videoSource(v) === source))
+        : corpus.videosById;
+      groups = selectPassages(corpus.index, videosById, query, { maxTokens: CONTEXT_TOKENS, maxVideos: MAX_INTERVIEWS, perVideo: 2 });
+    }
+    if (groups.length < MIN_PICKED) {
+      return NextResponse.json({ error: 'Not enough matching interviews to compare. Try broader terms.' }, { status: 404 });
+    }
+    const sources = buildSources(groups);
+
+    let comparison;
+    try {
+      const text = await complete(llm, buildCompareMessages(query, groups), { signal: request.signal });
+      comparison = parseComparison(text, groups, sources);
+    } catch (err) {
+      if (!(err instanceof LLMError)) throw err;
+      console.error(`${llm.name} compare error:`, err.message);
+      return NextResponse.json({ error: 'Comparison unavailable — the AI provider failed. Try again.' }, { status: 502 });
+    }
+
+    return NextResponse.json({
+      query,
+      ...comparison,
+      interviews: sources.map(({ id, title, url }) => ({ id, title, url })),
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') return new Response(null, { status: 499 });
+    console.error('Compare error:', err);
+    return NextResponse.json({ error: 'Comparison failed' }, { status: 500 });
+  }
+}
@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+import { createEmbedder } from '../../../lib/semantic';
+import { loadVectorSettings } from '../../../lib/corpus';
+
+// Search queries, not documents
+const MAX_TEXT_CHARS = 2000;
+
+// Embeds search queries with the provider the vector file was built with,
+// so API keys stay on the server. The provider and model come from the
+// vector file, never from the request.
+export async function POST(request) {
+  try {
+    const { text } = await request.json();
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return NextResponse.json({ error: 'Missing text' }, { status: 400 });
+    }
+    if (text.length > MAX_TEXT_CHARS) {
+      return NextResponse.json({ error: `Text is limited to ${MAX_TEXT_CHARS} characters` }, { status: 400 });
+    }
+
+    const settings = loadVectorSettings();
+    if (!settings) {
+      return NextResponse.json({ error: 'No vector index — run the collector with embeddings enabled' }, { status: 404 });
+    }
+    const { provider, model, dimensions } = settings;
+    if (!['openai', 'local', 'hash'].includes(provider) || !Number.isInteger(dimensions) || dimensions <= 0) {
+      return NextResponse.json({ error: 'Vector index is invalid — rerun the collector' }, { status: 500 });
+    }
+
+    const embedder = createEmbedder(provider, {
+      model,
+      dimensions,
+      baseUrl: process.env.EMBEDDINGS_BASE_URL,
+      apiKey: provider === 'local' ? process.env.EMBEDDINGS_API_KEY : process.env.OPENAI_API_KEY,
+    });
+    const [vector] = await embedder.embed([text]);
+
+    return NextResponse.json({ vector });
+  } catch (err) {
+    console.error('Embed error:', err);
+    return NextResponse.json({ error: 'Embedding failed' }, { status: 502 });
+  }
+}
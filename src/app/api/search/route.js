@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import { loadCorpus } from '../../../lib/corpus';
+import { parseQuery, searchIndex, sortHits, SORTS, extractExcerpt, highlightSpans, watchUrl, videoSource } from '../../../lib/search';
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+/**
+ * GET /api/search?q=&limit=&offset=&sort=&source=
+ *
+ * Keyword search over the corpus with the same query syntax as the site.
+ * Returns { query, sort, total, offset, limit, results }, where each result
+ * carries its score, extracted profile and a transcript excerpt with
+ * highlight offsets — [start, end] character ranges into the excerpt (or
+ * title) text.
+ */
+export async function GET(request) {
+  try {
+    const params = request.nextUrl.searchParams;
+    const query = (params.get('q') || '').trim();
+    const sort = params.get('sort') || 'relevance';
+    const source = params.get('source');
+    const limit = Math.min(Math.max(parseInt(params.get('limit') || DEFAULT_LIMIT, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(params.get('offset') || '0', 10) || 0, 0);
+
+    if (!query) {
+      return NextResponse.json({ error: 'Missing q' }, { status: 400 });
+    }
+    if (!SORTS.includes(sort)) {
+      return NextResponse.json({ error: `Unknown sort: ${sort} (use ${SORTS.join(', ')})` }, { status: 400 });
+    }
+
+    const corpus = loadCorpus();
+    const videosById = source
+      ? new Map([...corpus.videosById].filter(([, v]) => videoSource(v) === source))
+      : corpus.videosById;
+    const parsed = parseQuery(query);
+    const hits = sortHits(searchIndex(corpus.index, parsed, videosById).filter(hit => videosById.has(hit.id)), videosById, sort);
+
+    const results = hits.slice(offset, offset + limit).map(({ id, score }) => {
+      const video = videosById.get(id);
+      const excerpt = extractExcerpt(video.transcript, parsed, 350, video.segments);
+      return {
+        id,
+        title: video.title,
+        titleHighlights: highlightSpans(video.title, parsed, 'title'),
+        url: video.url,
+        source: videoSource(video),
+        channelTitle: video.channelTitle || null,
+        publishedAt: video.publishedAt,
+        durationSeconds: video.durationSeconds,
+        viewCount: video.viewCount,
+        wordCount: video.wordCount,
+        profile: video.profile || null,
+        score: Math.round(score * 1000) / 1000,
+        excerpt: {
+          text: excerpt.text,
+          timestamp: excerpt.timestamp,
+          url: watchUrl(video.url, excerpt.timestamp),
+          highlights: highlightSpans(excerpt.text, parsed),
+        },
+      };
+    });
+
+    return NextResponse.json({ query, sort, total: hits.length, offset, limit, results });
+  } catch (err) {
+    console.error('Search error:', err);
+    return NextResponse.json({ error: 'Search failed' }, { status: 500 });
+  }
+}
@@ -0,0 +1,273 @@
+'use client';
+
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { highlightSpans, formatDate, formatNumber, formatTimestamp } from '../../../lib/search';
+import { profileFacts } from '../../../lib/profile';
+import { transcriptToMarkdown, exportFilename, downloadText } from '../../../lib/exporters';
+import { useCollections, SaveMenu, CollectionsPanel } from '../../Collections';
+
+/**
+ * One interview: embedded player, metadata, the transcript in paragraphs
+ * with find-in-transcript, and related interviews. Timestamps seek the
+ * player; ?find= and ?t= in the URL prefill the search and start time.
+ * Selecting transcript text offers to save it to a collection.
+ */
+export default function InterviewReader({ video, paragraphs, related, topicLabels }) {
+  const [find, setFind] = useState('');
+  const [current, setCurrent] = useState(0);
+  const [start, setStart] = useState(0);
+  const [selection, setSelection] = useState(null); // { text, timestamp } of the selected transcript text
+  const [showCollections, setShowCollections] = useState(false);
+  const collections = useCollections();
+  const playerRef = useRef(null);
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('find')) setFind(params.get('find'));
+    const t = parseInt(params.get('t'), 10);
+    if (t > 0) setStart(t);
+  }, []);
+
+  // Every match as { para, start, end }, in reading order
+  const matches = useMemo(() => {
+    if (!find.trim()) return [];
+    return paragraphs.flatMap((p, para) => highlightSpans(p.text, find).map(([start, end]) => ({ para, start, end })));
+  }, [paragraphs, find]);
+
+  useEffect(() => { setCurrent(0); }, [find]);
+
+  useEffect(() => {
+    document.getElementById(`match-${current}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [current, matches]);
+
+  const step = useCallback((delta) => {
+    if (!matches.length) return;
+    setCurrent(c => (c + delta + matches.length) % matches.length);
+  }, [matches.length]);
+
+  // The embed takes commands over postMessage (enablejsapi=1)
+  const seek = useCallback((seconds) => {
+    const player = playerRef.current;
+    if (!player) return;
+    const send = (func, args = []) => player.contentWindow?.postMessage(JSON.stringify({ event: 'command', func, args }), '*');
+    send('seekTo', [Math.floor(seconds), true]);
+    send('playVideo');
+    player.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }, []);
+
+  // Text selected within one paragraph becomes a savable excerpt
+  const readSelection = useCallback(() => {
+    const sel = window.getSelection();
+    const text = sel?.toString().replace(/\s+/g, ' ').trim();
+    const para = sel?.anchorNode?.parentElement?.closest('[data-para]');
+    if (!text || text.length < 3 || !para) return setSelection(null);
+    setSelection({ text, timestamp: paragraphs[+para.dataset.para]?.timestamp ?? null });
+  }, [paragraphs]);
+
+  // Matches numbered across the whole transcript, for next/previous
+  let matchNo = 0;
+
+  return (
+    <div style={{ minHeight: '100vh', background: 'var(--bg)' }}>
+      {/* ─── Header ─── */}
+      <header style={{
+        position: 'sticky', top: 0, zIndex: 50,
+        background: 'rgba(8,8,12,0.92)', backdropFilter: 'blur(16px)',
+        borderBottom: '1px solid var(--border)',
+        padding: '12px 24px',
+        display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 16,
+      }}>
+        <a href="/" style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+          <span style={{ fontSize: 22 }}>🔥</span>
+          <span style={{ fontFamily: 'var(--font-mono)', fontSize: 13, fontWeight: 700, color: 'var(--accent)', letterSpacing: 1 }}>
+            FOUNDER WISDOM
+          </span>
+        </a>
+
+        {/* Find in transcript */}
+        <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+          <input
+            type="text"
+            value={find}
+            onChange={e => setFind(e.target.value)}
+            onKeyDown={e => { if (e.key === 'Enter') step(e.shiftKey ? -1 : 1); }}
+            placeholder="Find in transcript..."
+            style={{
+              background: 'var(--surface)', border: '1px solid var(--border)', color: 'var(--text)',
+              padding: '7px 12px', borderRadius: 8, fontSize: 13, width: 220,
+            }}
+          />
+          <span style={{ fontSize: 12, color: 'var(--text-muted)', minWidth: 52, textAlign: 'center' }}>
+            {find.trim() ? (matches.length ? `${current + 1}/${matches.length}` : '0/0') : ''}
+          </span>
+          <NavButton label="↑" title="Previous match (Shift+Enter)" onClick={() => step(-1)} disabled={!matches.length} />
+          <NavButton label="↓" title="Next match (Enter)" onClick={() => step(1)} disabled={!matches.length} />
+          <span style={{ marginLeft: 8 }}>
+            <SaveMenu
+              collections={collections}
+              label="＋ Save interview"
+              item={() => ({ kind: 'interview', videoId: video.id, title: video.title, url: video.url })}
+            />
+          </span>
+          <NavButton
+            label="⬇"
+            title="Download the transcript as Markdown"
+            onClick={() => downloadText(
+              exportFilename(video.title, 'md'),
+              transcriptToMarkdown(video, paragraphs, new Map(Object.entries(topicLabels || {}))),
+              'text/markdown'
+            )}
+          />
+          <NavButton label="📚" title="Collections" onClick={() => setShowCollections(!showCollections)} />
+        </div>
+      </header>
+
+      {showCollections && <CollectionsPanel collections={collections} onClose={() => setShowCollections(false)} />}
+
+      <div style={{ maxWidth: 780, margin: '0 auto', padding: '32px 20px 60px' }}>
+        {/* Player */}
+        <div style={{ position: 'relative', paddingTop: '56.25%', borderRadius: 12, overflow: 'hidden', border: '1px solid var(--border)', background: '#000' }}>
+          <iframe
+            ref={playerRef}
+            src={`https://www.youtube.com/embed/${encodeURIComponent(video.id)}?enablejsapi=1${start ? `&start=${start}` : ''}`}
+            title={video.title}
+            allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
+            allowFullScreen
+            style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', border: 'none' }}
+          />
+        </div>
+
+        {/* Metadata */}
+        <h1 style={{ fontSize: 26, fontWeight: 700, lineHeight: 1.25, margin: '24px 0 10px' }}>{video.title}</h1>
+        <div style={{ display: 'flex', gap: 14, fontSize: 13, color: 'var(--text-muted)', flexWrap: 'wrap' }}>
+          {video.channelTitle && <span>📺 {video.channelTitle}</span>}
+          <span>📅 {formatDate(video.publishedAt)}</span>
+          <span>⏱ {video.durationFormatted}</span>
+          <span>👁 {formatNumber(video.viewCount)}</span>
+          <span>📝 {formatNumber(video.wordCount)} words</span>
+          {video.transcriptSource === 'asr' && <span>🎙 auto-transcribed</span>}
+          <a href={video.url} target="_blank" rel="noopener noreferrer" style={{ color: 'var(--accent-red)' }}>▶ YouTube</a>
+        </div>
+        {profileFacts(video).length > 0 && (
+          <div style={{ display: 'flex', gap: 8, marginTop: 12, flexWrap: 'wrap' }}>
+            {profileFacts(video).map(f => (
+              <span key={f.key} style={{ background: 'var(--surface)', border: '1px solid var(--border)', padding: '3px 10px', borderRadius: 6, fontSize: 12 }}>
+                {f.text}
+              </span>
+            ))}
+          </div>
+        )}
+        {video.description && (
+          <p style={{ marginTop: 14, fontSize: 14, lineHeight: 1.7, color: 'var(--text-muted)' }}>{video.description}</p>
+        )}
+
+        {/* Transcript */}
+        <div style={{ fontFamily: 'var(--font-mono)', fontSize: 11, color: 'var(--accent)', letterSpacing: 2, margin: '32px 0 14px', textTransform: 'uppercase' }}>
+          Transcript
+        </div>
+        <div onMouseUp={readSelection} onKeyUp={readSelection}>
+          {paragraphs.map((p, i) => {
+            const spans = matches.filter(m => m.para === i);
+            const parts = [];
+            let pos = 0;
+            for (const m of spans) {
+              const n = matchNo++;
+              if (m.start > pos) parts.push(<span key={`t${pos}`}>{p.text.slice(pos, m.start)}</span>);
+              parts.push(
+                <mark key={`m${n}`} id={`match-${n}`} style={n === current ? { background: 'var(--accent)', color: '#000' } : undefined}>
+                  {p.text.slice(m.start, m.end)}
+                </mark>
+              );
+              pos = m.end;
+            }
+            if (pos < p.text.length) parts.push(<span key={`t${pos}`}>{p.text.slice(pos)}</span>);
+
+            return (
+              <div key={p.start} style={{ display: 'flex', gap: 16, marginBottom: 18 }}>
+                <button
+                  onClick={() => seek(p.timestamp)}
+                  disabled={p.timestamp == null}
+                  title="Play from here"
+                  style={{
+                    background: 'transparent', border: 'none', padding: 0, flexShrink: 0, width: 52, textAlign: 'right',
+                    fontFamily: 'var(--font-mono)', fontSize: 12, color: 'var(--accent-red)',
+                    cursor: p.timestamp == null ? 'default' : 'pointer', lineHeight: 1.85,
+                  }}
+                >
+                  {p.timestamp != null ? formatTimestamp(p.timestamp) : ''}
+                </button>
+                <p data-para={i} style={{ fontSize: 15, lineHeight: 1.85, color: '#ccc' }}>{parts}</p>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Save the selected text */}
+        {selection && (
+          <div style={{
+            position: 'fixed', bottom: 20, left: '50%', transform: 'translateX(-50%)', zIndex: 60,
+            width: 'min(640px, calc(100vw - 40px))', display: 'flex', alignItems: 'center', gap: 10,
+            background: 'var(--surface)', border: '1px solid rgba(245,158,11,0.3)', borderRadius: 12,
+            padding: '10px 14px', boxShadow: '0 8px 32px rgba(0,0,0,0.5)',
+          }}>
+            <span style={{ flex: 1, fontSize: 13, color: 'var(--text-muted)', fontStyle: 'italic', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              &ldquo;{selection.text}&rdquo;
+            </span>
+            <SaveMenu
+              collections={collections}
+              label="＋ Save excerpt"
+              up
+              item={() => ({ kind: 'excerpt', videoId: video.id, title: video.title, url: video.url, text: selection.text, timestamp: selection.timestamp })}
+            />
+            <NavButton label="✕" title="Dismiss" onClick={() => setSelection(null)} />
+          </div>
+        )}
+
+        {/* Related */}
+        {related.length > 0 && (
+          <div style={{ marginTop: 40, paddingTop: 24, borderTop: '1px solid var(--border)' }}>
+            <div style={{ fontFamily: 'var(--font-mono)', fontSize: 11, color: 'var(--accent)', letterSpacing: 2, marginBottom: 14, textTransform: 'uppercase' }}>
+              Related interviews
+            </div>
+            {related.map(r => (
+              <a
+                key={r.id}
+                href={`/interview/${encodeURIComponent(r.id)}`}
+                style={{
+                  display: 'block', background: 'var(--surface)', border: '1px solid var(--border)',
+                  borderRadius: 10, padding: '14px 18px', marginBottom: 8,
+                }}
+              >
+                <div style={{ fontSize: 15, fontWeight: 600 }}>{r.title}</div>
+                <div style={{ display: 'flex', gap: 14, marginTop: 6, fontSize: 12, color: 'var(--text-muted)' }}>
+                  {r.channelTitle && <span>📺 {r.channelTitle}</span>}
+                  <span>📅 {formatDate(r.publishedAt)}</span>
+                  <span>⏱ {r.durationFormatted}</span>
+                </div>
+              </a>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── Find Navigation Button ──────────────────────────────────────
+
+function NavButton({ label, title, onClick, disabled }) {
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      title={title}
+      style={{
+        background: 'transparent', border: '1px solid var(--border)', color: 'var(--text-muted)',
+        width: 30, height: 30, borderRadius: 8, cursor: disabled ? 'default' : 'pointer',
+        fontSize: 13, opacity: disabled ? 0.4 : 1,
+      }}
+    >
+      {label}
+    </button>
+  );
+}
@@ -0,0 +1,51 @@
+import { notFound } from 'next/navigation';
+import InterviewReader from './InterviewReader';
+import { loadCorpus } from '../../../lib/corpus';
+import { splitPassages, relatedVideos, PARAGRAPH_WORDS } from '../../../lib/search';
+
+// A fresh checkout has no collected data yet — no interviews rather than an error
+function corpusOrNull() {
+  try {
+    return loadCorpus();
+  } catch {
+    return null;
+  }
+}
+
+export function generateStaticParams() {
+  return corpusOrNull()?.videos.map(v => ({ id: v.id })) || [];
+}
+
+export async function generateMetadata({ params }) {
+  const { id } = await params;
+  const video = corpusOrNull()?.videosById.get(id);
+  if (!video) notFound();
+  const title = `${video.title} — Founder Wisdom`;
+  const description = video.description || `${video.durationFormatted} founder interview, transcribed and searchable.`;
+  return {
+    title,
+    description,
+    openGraph: { title, description, type: 'article', siteName: 'Founder Wisdom', images: video.thumbnail ? [video.thumbnail] : [] },
+    twitter: { card: 'summary_large_image', title, description },
+  };
+}
+
+export default async function InterviewPage({ params }) {
+  const { id } = await params;
+  const corpus = corpusOrNull();
+  const video = corpus?.videosById.get(id);
+  if (!video) notFound();
+  const { database, index, videosById } = corpus;
+
+  const paragraphs = splitPassages(video, PARAGRAPH_WORDS).map(({ start, timestamp, text }) => ({ start, timestamp, text }));
+  const related = relatedVideos(index, videosById, video).map(({ id }) => {
+    const { title, publishedAt, durationFormatted, channelTitle } = videosById.get(id);
+    return { id, title, publishedAt, durationFormatted, channelTitle };
+  });
+  // The transcript goes to the reader as paragraphs only
+  const { transcript, segments, ...meta } = video;
+
+  const topicLabels = Object.fromEntries((database.metadata?.topics || []).map(t => [t.id, t.label]));
+
+  return <InterviewReader video={meta} paragraphs={paragraphs} related={related} topicLabels={topicLabels} />;
+}
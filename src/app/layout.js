@@ -1,8 +1,14 @@
 import './globals.css';
+import config from '../../sources.json';
+
+// "A", "A and B", "A, B and C" — the sources the collector is set up for
+const labels = (config.sources || []).map(s => s.label || s.id).filter(Boolean);
+const sourceList = labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels[0];
 
 export const metadata = {
-  title: 'Founder Wisdom — AI Search Across 50+ Startup Interviews',
-  description: 'Search and query the collective wisdom from Starter Story founder interviews. AI-powered answers from real entrepreneurs.',
+  // Titles get cut off, so a longer list of sources only goes in the description
+  title: `Founder Wisdom — AI Search Across ${labels.length && labels.length <= 2 ? sourceList : 'Startup'} Interviews`,
+  description: `Search and query the collective wisdom from ${sourceList ? `${sourceList} founder interviews` : 'founder interviews'}. AI-powered answers from real entrepreneurs.`,
 };
 
 export default function RootLayout({ children }) {
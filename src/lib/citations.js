@@ -0,0 +1,75 @@
+import { watchUrl } from './search.js';
+
+/**
+ * Citations in AI answers. The context sent to the model labels every
+ * passage "(N.M)" — passage M of [Interview N] — and the model cites them
+ * as [N.M], or [N] for an interview as a whole.
+ */
+
+const CITATION_RE = /\[(\d+)(?:\.(\d+))?\]/g;
+
+/**
+ * Resolve a citation against the sources that were sent, or null if it
+ * points at an interview or passage the model never saw
+ */
+export function resolveCitation(sources, interview, passage) {
+  const source = sources[interview - 1];
+  if (!source) return null;
+  const p = source.passages[(passage || 1) - 1];
+  if (!p) return null;
+  return {
+    ref: passage ? `${interview}.${passage}` : String(interview),
+    interview,
+    passage: passage || null,
+    videoId: source.id,
+    title: source.title,
+    url: watchUrl(source.url, p.timestamp),
+    timestamp: p.timestamp,
+    start: p.start,
+    end: p.end,
+  };
+}
+
+/**
+ * Validate the citations in an answer. Returns { answer, citations } with
+ * unknown citations removed from the text and the valid ones listed once
+ * each, in order of first appearance.
+ */
+export function extractCitations(answer, sources) {
+  const citations = new Map();
+  // Models sometimes write "[Interview 2]" or group refs as "[1.2, 3.1]"
+  const normalized = answer
+    .replace(/\[Interview (\d+)\]/gi, '[$1]')
+    .replace(/\[(\d+(?:\.\d+)?(?:\s*,\s*\d+(?:\.\d+)?)+)\]/g, (match, list) => list.split(/\s*,\s*/).map(r => `[${r}]`).join(''));
+  // Swallow the space before a dropped citation too
+  const cleaned = normalized.replace(/( ?)\[(\d+)(?:\.(\d+))?\]/g, (match, space, n, m) => {
+    const citation = resolveCitation(sources, parseInt(n, 10), m ? parseInt(m, 10) : null);
+    if (!citation) return '';
+    if (!citations.has(citation.ref)) citations.set(citation.ref, citation);
+    return `${space}[${citation.ref}]`;
+  });
+  return { answer: cleaned, citations: [...citations.values()] };
+}
+
+/**
+ * Answer text without its citation markers — for feeding earlier turns back
+ * to the model, whose passage labels change every turn
+ */
+export function stripCitations(text) {
+  return text.replace(/ ?\[(\d+)(?:\.(\d+))?\]/g, '');
+}
+
+/**
+ * Split answer text into [{ text }] and [{ ref }] parts for rendering
+ */
+export function splitCitations(text) {
+  const parts = [];
+  let pos = 0;
+  for (const m of text.matchAll(CITATION_RE)) {
+    if (m.index > pos) parts.push({ text: text.slice(pos, m.index) });
+    parts.push({ ref: m[2] ? `${m[1]}.${m[2]}` : m[1] });
+    pos = m.index + m[0].length;
+  }
+  if (pos < text.length) parts.push({ text: text.slice(pos) });
+  return parts;
+}
@@ -0,0 +1,194 @@
+/**
+ * Collections — named sets of saved interviews, transcript excerpts, AI
+ * answers and searches, each with an optional note — kept in the browser's
+ * IndexedDB and passed around the team as JSON files:
+ *
+ *   { id, name, note, createdAt, updatedAt, items: [
+ *     { id, kind: 'interview', videoId, title, url, note, addedAt },
+ *     { id, kind: 'excerpt', videoId, title, url, text, timestamp, note, addedAt },
+ *     { id, kind: 'answer', question, answer, citations, note, addedAt },
+ *     { id, kind: 'search', q, mode, href, note, addedAt },
+ *   ] }
+ */
+
+import { searchHref } from './searchParams.js';
+
+const DB_NAME = 'founder-wisdom';
+const DB_VERSION = 1;
+const STORE = 'collections';
+
+export const EXPORT_FORMAT = 'founder-wisdom-collections';
+export const EXPORT_VERSION = 1;
+
+export const ITEM_KINDS = ['interview', 'excerpt', 'answer', 'search'];
+
+export function newId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+// ─── Validation ─────────────────────────────────────────────────
+
+const str = (value, max = 20000) => typeof value === 'string' ? value.slice(0, max) : '';
+const time = value => typeof value === 'string' && !isNaN(Date.parse(value)) ? value : new Date().toISOString();
+// Links are rendered as they are, so only YouTube links and paths within
+// the site are kept — "//host" is another site
+const youtubeUrl = value => /^https:\/\/www\.youtube\.com\//.test(value) ? str(value, 500) : '';
+const siteHref = value => /^(?:\/(?![/\\])|\?)/.test(value) ? str(value, 2000) : '';
+
+// Drop anything that isn't a well-formed item — imported files are untrusted
+function sanitizeItem(item) {
+  if (!item || !ITEM_KINDS.includes(item.kind)) return null;
+  const base = { id: str(item.id, 64) || newId(), kind: item.kind, note: str(item.note), addedAt: time(item.addedAt) };
+  switch (item.kind) {
+    case 'interview':
+    case 'excerpt': {
+      if (!str(item.videoId)) return null;
+      const video = { videoId: str(item.videoId, 64), title: str(item.title, 300), url: youtubeUrl(item.url) };
+      if (item.kind === 'interview') return { ...base, ...video };
+      if (!str(item.text)) return null;
+      return { ...base, ...video, text: str(item.text), timestamp: Number.isFinite(item.timestamp) ? item.timestamp : null };
+    }
+    case 'answer':
+      if (!str(item.question) || !str(item.answer)) return null;
+      return {
+        ...base,
+        question: str(item.question, 1000),
+        answer: str(item.answer),
+        citations: (Array.isArray(item.citations) ? item.citations : [])
+          .filter(c => c && typeof c.ref === 'string')
+          .map(c => ({
+            ref: str(c.ref, 16),
+            videoId: str(c.videoId, 64),
+            title: str(c.title, 300),
+            url: youtubeUrl(c.url),
+            timestamp: Number.isFinite(c.timestamp) ? c.timestamp : null,
+          })),
+      };
+    case 'search': {
+      const q = str(item.q, 1000);
+      const mode = str(item.mode, 16);
+      const href = siteHref(item.href) || (q ? searchHref({ q, mode }) : '');
+      if (!href) return null;
+      return { ...base, q, mode, href };
+    }
+  }
+}
+
+export function sanitizeCollection(c) {
+  if (!c || !str(c.name).trim()) return null;
+  const seen = new Set();
+  return {
+    id: str(c.id, 64) || newId(),
+    name: str(c.name, 200).trim(),
+    note: str(c.note),
+    createdAt: time(c.createdAt),
+    updatedAt: time(c.updatedAt),
+    items: (Array.isArray(c.items) ? c.items : [])
+      .map(sanitizeItem)
+      .filter(item => item && !seen.has(item.id) && seen.add(item.id)),
+  };
+}
+
+// ─── IndexedDB ──────────────────────────────────────────────────
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') return reject(new Error('This browser has no IndexedDB'));
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE)) request.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+async function run(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Every collection, most recently changed first
+ */
+export async function listCollections() {
+  const all = await run('readonly', store => store.getAll());
+  return (all || []).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Store a collection (replacing one with the same id), stamped as changed now
+ */
+export async function putCollection(collection) {
+  const saved = { ...collection, updatedAt: new Date().toISOString() };
+  await run('readwrite', store => store.put(saved));
+  return saved;
+}
+
+export function deleteCollection(id) {
+  return run('readwrite', store => store.delete(id));
+}
+
+// ─── Import / Export ────────────────────────────────────────────
+
+export function exportCollections(collections) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    collections,
+  }, null, 2);
+}
+
+/**
+ * Collections from an exported file — also takes a bare collection or an
+ * array of them. Throws if there's nothing usable.
+ */
+export function parseCollections(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Not a JSON file');
+  }
+  const list = Array.isArray(data) ? data : Array.isArray(data?.collections) ? data.collections : [data];
+  const collections = list.map(sanitizeCollection).filter(Boolean);
+  if (!collections.length) throw new Error('No collections in this file');
+  return collections;
+}
+
+/**
+ * Fold imported collections into the existing ones: a collection already
+ * here (same id) gains the items it's missing, notes on both sides are
+ * kept; the rest are added. Returns the collections that changed.
+ */
+export function mergeCollections(existing, imported) {
+  const byId = new Map(existing.map(c => [c.id, c]));
+  const changed = [];
+  for (const c of imported) {
+    const mine = byId.get(c.id);
+    if (!mine) {
+      changed.push(c);
+      continue;
+    }
+    const have = new Set(mine.items.map(item => item.id));
+    const added = c.items.filter(item => !have.has(item.id));
+    const note = c.note && !mine.note.includes(c.note) ? [mine.note, c.note].filter(Boolean).join('\n\n') : mine.note;
+    if (added.length || note !== mine.note) changed.push({ ...mine, note, items: [...mine.items, ...added] });
+  }
+  return changed;
+}
@@ -0,0 +1,86 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { buildIndex, INDEX_VERSION } from './search.js';
+import { shardPath } from './shards.js';
+
+/**
+ * Server-side access to the collected corpus in public/data. Used by the API
+ * routes; reloaded whenever the collector rewrites the manifest.
+ */
+
+const DATA_DIR = path.join(process.cwd(), 'public', 'data');
+const MANIFEST_PATH = path.join(DATA_DIR, 'manifest.json');
+const INDEX_PATH = path.join(DATA_DIR, 'index.json');
+const VECTORS_PATH = path.join(DATA_DIR, 'vectors.json');
+
+let cached = null;
+let cachedVectors = null;
+
+/**
+ * Read the manifest with every transcript shard merged back in:
+ * { metadata, videos }. Falls back to a pre-shard transcripts.json.
+ */
+export function readDatabase(dir = DATA_DIR) {
+  const manifestPath = path.join(dir, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) {
+    const legacy = path.join(dir, 'transcripts.json');
+    return fs.existsSync(legacy) ? JSON.parse(fs.readFileSync(legacy, 'utf-8')) : null;
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  const videos = (manifest.videos || []).map(video => {
+    if (!video.transcriptAvailable) return video;
+    try {
+      const shard = JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(dir, shardPath(video.id)))));
+      return { ...video, transcript: shard.transcript, segments: shard.segments };
+    } catch {
+      // A missing shard just means the transcript has to be fetched again
+      return { ...video, transcriptAvailable: false };
+    }
+  });
+  return { ...manifest, videos };
+}
+
+/**
+ * Open a corpus: { database, videos, videosById, index }. `location` is a
+ * data directory or a transcripts.json file. `videos` only holds videos with
+ * a transcript, matching what the index covers.
+ */
+export function openCorpus(location = DATA_DIR) {
+  const isFile = location.endsWith('.json');
+  const database = isFile ? JSON.parse(fs.readFileSync(location, 'utf-8')) : readDatabase(location);
+  if (!database) throw new Error(`No collected data in ${location}`);
+  const videos = (database.videos || []).filter(v => v.transcriptAvailable);
+
+  let index = null;
+  try {
+    if (!isFile) index = JSON.parse(fs.readFileSync(location === DATA_DIR ? INDEX_PATH : path.join(location, 'index.json'), 'utf-8'));
+  } catch {}
+  if (index?.version !== INDEX_VERSION) index = buildIndex(videos);
+
+  return { database, videos, videosById: new Map(videos.map(v => [v.id, v])), index };
+}
+
+/**
+ * The site's corpus in public/data, cached until the collector rewrites it
+ */
+export function loadCorpus() {
+  const mtime = fs.statSync(fs.existsSync(MANIFEST_PATH) ? MANIFEST_PATH : path.join(DATA_DIR, 'transcripts.json')).mtimeMs;
+  if (cached?.mtime === mtime) return cached;
+  cached = { mtime, ...openCorpus() };
+  return cached;
+}
+
+/**
+ * How the vector index was built — { provider, model, dimensions } — or null
+ * without one. Queries have to be embedded the same way.
+ */
+export function loadVectorSettings() {
+  if (!fs.existsSync(VECTORS_PATH)) return null;
+  const mtime = fs.statSync(VECTORS_PATH).mtimeMs;
+  if (cachedVectors?.mtime !== mtime) {
+    const { provider, model, dimensions } = JSON.parse(fs.readFileSync(VECTORS_PATH, 'utf-8'));
+    cachedVectors = { mtime, settings: { provider, model, dimensions } };
+  }
+  return cachedVectors.settings;
+}
@@ -0,0 +1,148 @@
+import { watchUrl, formatTimestamp } from './search.js';
+import { profileFacts } from './profile.js';
+
+/**
+ * Exports for pasting into docs and spreadsheets — search results as CSV or
+ * JSON, AI answers and transcripts as Markdown. Shared by the site and
+ * scripts/export.mjs, so both produce the same files.
+ */
+
+// ─── Search Results ─────────────────────────────────────────────
+
+export const RESULT_COLUMNS = ['rank', 'id', 'title', 'channel', 'url', 'date', 'views', 'score', 'excerpt', 'excerptUrl'];
+
+/**
+ * Flat rows from results — videos carrying `score`, `excerpt` (text) and
+ * `excerptTimestamp`, as the search page and the export script build them
+ */
+export function resultRows(results) {
+  return results.map((v, i) => ({
+    rank: i + 1,
+    id: v.id,
+    title: v.title || '',
+    channel: v.channelTitle || '',
+    url: v.url || '',
+    date: (v.publishedAt || '').slice(0, 10),
+    views: v.viewCount ?? null,
+    score: v.score != null ? Math.round(v.score * 1000) / 1000 : null,
+    excerpt: (v.excerpt || '').replace(/\s+/g, ' ').trim(),
+    excerptUrl: v.url ? watchUrl(v.url, v.excerptTimestamp) : '',
+  }));
+}
+
+function csvCell(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function resultsToCsv(results) {
+  const lines = [RESULT_COLUMNS.join(',')];
+  for (const row of resultRows(results)) lines.push(RESULT_COLUMNS.map(c => csvCell(row[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+export function resultsToJson(results, { query = '', sort = 'relevance' } = {}) {
+  return JSON.stringify({ query, sort, exportedAt: new Date().toISOString(), total: results.length, results: resultRows(results) }, null, 2) + '\n';
+}
+
+// ─── AI Answers ─────────────────────────────────────────────────
+
+function sourceList(citations) {
+  return citations.map(c => {
+    const at = c.timestamp != null ? ` — ${formatTimestamp(c.timestamp)}` : '';
+    return `- **[${c.ref}]** [${c.title}](${c.url})${at}`;
+  }).join('\n');
+}
+
+/**
+ * A conversation — [{ question, answer, citations }] — as Markdown, each
+ * answer followed by the sources its [N.M] markers point to
+ */
+export function answerToMarkdown(turns) {
+  const parts = [];
+  turns.forEach((turn, i) => {
+    parts.push(`${i ? '##' : '#'} ${turn.question}`, turn.answer.trim());
+    if (turn.citations?.length) parts.push(`${i ? '###' : '##'} Sources`, sourceList(turn.citations));
+  });
+  parts.push(`---\n\n_Exported from Founder Wisdom on ${new Date().toISOString().slice(0, 10)}_`);
+  return parts.join('\n\n') + '\n';
+}
+
+// ─── Transcripts ────────────────────────────────────────────────
+
+// JSON strings are valid YAML scalars
+const yamlValue = value => typeof value === 'number' ? String(value) : JSON.stringify(String(value));
+
+/**
+ * YAML front-matter for a video: title, ids, dates, stats, profile and topics
+ */
+export function frontMatter(video, topicLabels = new Map()) {
+  const p = video.profile || {};
+  const fields = {
+    title: video.title,
+    id: video.id,
+    url: video.url,
+    channel: video.channelTitle,
+    source: video.source,
+    published: (video.publishedAt || '').slice(0, 10) || null,
+    duration: video.durationFormatted,
+    views: video.viewCount,
+    words: video.wordCount,
+    transcriptSource: video.transcriptSource,
+    founder: p.founder,
+    company: p.company,
+    businessModel: p.businessModel,
+    mrr: p.mrr,
+    arr: p.arr,
+    teamSize: p.teamSize,
+    startupCost: p.startupCost,
+    funding: p.funding,
+  };
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value != null && value !== '')
+    .map(([key, value]) => `${key}: ${yamlValue(value)}`);
+  if (video.topics?.length) {
+    lines.push('topics:', ...video.topics.map(id => `  - ${yamlValue(topicLabels.get(id) || id)}`));
+  }
+  return `---\n${lines.join('\n')}\n---`;
+}
+
+/**
+ * A full transcript as Markdown with front-matter. `paragraphs` are
+ * [{ timestamp, text }] as splitPassages makes them; each starts with a
+ * link to that moment in the video.
+ */
+export function transcriptToMarkdown(video, paragraphs, topicLabels) {
+  const facts = profileFacts(video).map(f => f.text).join(' · ');
+  const body = paragraphs.map(p => p.timestamp != null
+    ? `[**${formatTimestamp(p.timestamp)}**](${watchUrl(video.url, p.timestamp)}) ${p.text}`
+    : p.text);
+  return [
+    frontMatter(video, topicLabels),
+    `# ${video.title}`,
+    ...(facts ? [facts] : []),
+    ...(video.description ? [`> ${video.description.replace(/\n+/g, '\n> ')}`] : []),
+    '## Transcript',
+    ...body,
+  ].join('\n\n') + '\n';
+}
+
+/**
+ * A file name from a title: ("How I built a $10k/mo SaaS", 'md') -> "how-i-built-a-10k-mo-saas.md"
+ */
+export function exportFilename(name, ext) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+  return `${slug || 'export'}.${ext}`;
+}
+
+/**
+ * Save `text` as a file from the browser
+ */
+export function downloadText(filename, text, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,183 @@
+import { readDataLines } from './sse.js';
+
+/**
+ * Chat model providers behind one interface:
+ *
+ *   { name, model, stream(messages, { signal }) }
+ *
+ * `messages` is [{ role: 'system' | 'user' | 'assistant', content }].
+ * `stream` sends the request and resolves once the provider has accepted it
+ * (rejecting with an LLMError otherwise) to an async iterable of text chunks.
+ *
+ *   openai     OpenAI chat completions (OPENAI_API_KEY)
+ *   anthropic  Anthropic messages API (ANTHROPIC_API_KEY)
+ *   local      any OpenAI-compatible server — Ollama, llama.cpp, vLLM,
+ *              LM Studio (LLM_BASE_URL, default Ollama on localhost)
+ *   mock       deterministic canned answers, no network — for tests and CI
+ */
+
+export class LLMError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+  }
+}
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o',
+  anthropic: 'claude-3-5-sonnet-latest',
+  local: 'llama3.1',
+  mock: 'mock',
+};
+
+export function createLLM(name = 'openai', options = {}) {
+  const config = {
+    model: options.model || DEFAULT_MODELS[name],
+    temperature: options.temperature,
+    maxTokens: options.maxTokens || 1200,
+  };
+
+  switch (name) {
+    case 'openai':
+      if (!options.apiKey) throw new LLMError('AI search is not configured. Set OPENAI_API_KEY in environment variables. Keyword search still works!');
+      return openAICompatible(name, 'https://api.openai.com/v1', options.apiKey, config);
+    case 'local':
+      return openAICompatible(name, options.baseUrl || 'http://localhost:11434/v1', options.apiKey, config);
+    case 'anthropic':
+      if (!options.apiKey) throw new LLMError('AI search is not configured. Set ANTHROPIC_API_KEY in environment variables. Keyword search still works!');
+      return anthropic(options.apiKey, options.baseUrl || 'https://api.anthropic.com/v1', config);
+    case 'mock':
+      return mock(config);
+    default:
+      throw new LLMError(`Unknown LLM provider: ${name}`);
+  }
+}
+
+/**
+ * Provider settings from environment variables:
+ * LLM_PROVIDER, LLM_MODEL, LLM_TEMPERATURE, LLM_MAX_TOKENS, LLM_BASE_URL
+ * and the provider's API key
+ */
+export function llmFromEnv(env = process.env) {
+  const name = env.LLM_PROVIDER || 'openai';
+  const apiKey = { openai: env.OPENAI_API_KEY, anthropic: env.ANTHROPIC_API_KEY, local: env.LLM_API_KEY }[name];
+  return createLLM(name, {
+    apiKey,
+    model: env.LLM_MODEL,
+    baseUrl: env.LLM_BASE_URL,
+    temperature: env.LLM_TEMPERATURE ? parseFloat(env.LLM_TEMPERATURE) : undefined,
+    maxTokens: env.LLM_MAX_TOKENS ? parseInt(env.LLM_MAX_TOKENS, 10) : undefined,
+  });
+}
+
+/**
+ * Collect a whole streamed answer into one string
+ */
+export async function complete(llm, messages, options) {
+  let text = '';
+  for await (const chunk of await llm.stream(messages, options)) text += chunk;
+  return text;
+}
+
+async function post(url, headers, body, signal) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!res.ok) {
+    const err = await res.text();
+    throw new LLMError(`LLM API ${res.status}: ${err.slice(0, 300)}`, res.status);
+  }
+  return res;
+}
+
+function openAICompatible(name, baseUrl, apiKey, { model, temperature, maxTokens }) {
+  return {
+    name, model,
+    async stream(messages, { signal } = {}) {
+      const res = await post(
+        `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+        apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+        { model, messages, max_tokens: maxTokens, stream: true, ...(temperature != null ? { temperature } : {}) },
+        signal,
+      );
+      return (async function* () {
+        for await (const chunk of readDataLines(res)) {
+          const delta = chunk.choices?.[0]?.delta?.content;
+          if (delta) yield delta;
+        }
+      })();
+    },
+  };
+}
+
+function anthropic(apiKey, baseUrl, { model, temperature, maxTokens }) {
+  return {
+    name: 'anthropic', model,
+    async stream(messages, { signal } = {}) {
+      // Anthropic takes the system prompt separately from the turns
+      const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+      const res = await post(
+        `${baseUrl.replace(/\/$/, '')}/messages`,
+        { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' },
+        {
+          model, system, max_tokens: maxTokens, stream: true,
+          messages: messages.filter(m => m.role !== 'system'),
+          ...(temperature != null ? { temperature } : {}),
+        },
+        signal,
+      );
+      return (async function* () {
+        for await (const event of readDataLines(res)) {
+          if (event.type === 'content_block_delta' && event.delta?.text) yield event.delta.text;
+          else if (event.type === 'error') throw new LLMError(event.error?.message || 'Anthropic stream error');
+        }
+      })();
+    },
+  };
+}
+
+/**
+ * Answers by quoting back the start of the first few labelled passages in
+ * the prompt, cited — enough to exercise streaming and citations offline.
+ * Follow-up rewrites get the follow-up joined onto the last question;
+ * comparisons put alternate interviews on opposite sides.
+ */
+function mock({ model }) {
+  return {
+    name: 'mock', model,
+    async stream(messages) {
+      const prompt = messages[messages.length - 1]?.content || '';
+      const followUp = prompt.match(/\nFollow-up: (.*)$/);
+      const compare = prompt.match(/\nCompare on: (.*)$/);
+      const passages = [...prompt.matchAll(/\((\d+\.\d+)\) (?:\[[\d:]+\] )?(.{0,120})/g)].slice(0, 3);
+      let answer;
+      if (compare) {
+        const firsts = [...prompt.matchAll(/\((\d+)\.1\) (?:\[[\d:]+\] )?(.{0,80})/g)].slice(0, 6);
+        const side = n => n % 2 ? 'For' : 'Against';
+        answer = JSON.stringify({
+          summary: `Founders split on ${compare[1]}.`,
+          positions: firsts.map(([, n, text]) => ({
+            interview: +n, founder: `Founder ${n}`, stance: side(+n), position: `${side(+n)}: ${compare[1]}`, quote: text.trim(), cite: `${n}.1`,
+          })),
+          clusters: ['For', 'Against'].map(label => ({
+            label, summary: `${label} ${compare[1]}`, interviews: firsts.map(([, n]) => +n).filter(n => side(n) === label),
+          })),
+        });
+      } else if (followUp) {
+        const questions = [...prompt.matchAll(/^Q: (.*)$/gm)];
+        answer = `${questions[questions.length - 1]?.[1] || ''} ${followUp[1]}`.trim();
+      } else {
+        answer = passages.length
+          ? passages.map(([, ref, text]) => `One founder put it this way: "${text.trim()}..." [${ref}]`).join('\n\n')
+          : 'The transcripts provided don\'t cover this question.';
+      }
+      return (async function* () {
+        for (const word of answer.split(/(?<= )/)) yield word;
+      })();
+    },
+  };
+}
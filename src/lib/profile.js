@@ -0,0 +1,102 @@
+/**
+ * Structured facts about the founder and company behind an interview, as
+ * extracted by the collector (scripts/extractors.mjs) into `video.profile`:
+ *
+ *   { founder, company, businessModel, mrr, arr, teamSize, startupCost,
+ *     funding, extractedBy }
+ *
+ * Money is in US dollars — mrr per month, arr per year. Any field can be
+ * null when the interview doesn't say.
+ */
+
+export const BUSINESS_MODELS = {
+  saas: 'SaaS',
+  ecommerce: 'E-commerce',
+  agency: 'Agency',
+  marketplace: 'Marketplace',
+  app: 'Mobile app',
+  content: 'Content & media',
+  education: 'Courses & education',
+  services: 'Services',
+  physical: 'Local / physical',
+};
+
+export const FUNDING = {
+  bootstrapped: 'Bootstrapped',
+  funded: 'Funded',
+};
+
+const TEXT_LIMIT = 80;
+const MONEY_LIMIT = 1e11;
+
+function text(value) {
+  if (typeof value !== 'string') return null;
+  const clean = value.replace(/\s+/g, ' ').trim();
+  return clean && clean.length <= TEXT_LIMIT && !/^(null|none|n\/?a|unknown)$/i.test(clean) ? clean : null;
+}
+
+function amount(value, max = MONEY_LIMIT) {
+  const n = typeof value === 'string' ? parseFloat(value.replace(/[$,\s]/g, '')) : value;
+  return Number.isFinite(n) && n > 0 && n <= max ? Math.round(n) : null;
+}
+
+function choice(value, options) {
+  const key = typeof value === 'string' ? value.toLowerCase().replace(/[^a-z]/g, '') : null;
+  return key && key in options ? key : null;
+}
+
+/**
+ * A profile with every field checked and typed — anything malformed (as an
+ * LLM may return) becomes null
+ */
+export function normalizeProfile(raw = {}) {
+  return {
+    founder: text(raw.founder),
+    company: text(raw.company),
+    businessModel: choice(raw.businessModel, BUSINESS_MODELS),
+    mrr: amount(raw.mrr),
+    arr: amount(raw.arr),
+    teamSize: amount(raw.teamSize, 1e6),
+    startupCost: amount(raw.startupCost),
+    funding: choice(raw.funding, FUNDING),
+  };
+}
+
+/**
+ * Monthly revenue in dollars — stated MRR, else ARR / 12
+ */
+export function monthlyRevenue(video) {
+  const p = video?.profile;
+  if (!p) return null;
+  if (p.mrr != null) return p.mrr;
+  return p.arr != null ? Math.round(p.arr / 12) : null;
+}
+
+/**
+ * "$12K", "$1.5M"
+ */
+export function formatMoney(n) {
+  if (n == null) return '';
+  if (n >= 1e6) return `$${+(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `$${+(n / 1e3).toFixed(n >= 1e4 ? 0 : 1)}K`;
+  return `$${n}`;
+}
+
+/**
+ * A profile as short display facts: [{ key, text }] — founder and company
+ * first, then the numbers
+ */
+export function profileFacts(video) {
+  const p = video?.profile;
+  if (!p) return [];
+  const revenue = monthlyRevenue(video);
+  return [
+    p.founder && { key: 'founder', text: `👤 ${p.founder}` },
+    p.company && { key: 'company', text: `🏢 ${p.company}` },
+    p.businessModel && { key: 'model', text: BUSINESS_MODELS[p.businessModel] },
+    revenue != null && { key: 'revenue', text: p.mrr != null ? `${formatMoney(p.mrr)}/mo` : `${formatMoney(p.arr)}/yr` },
+    p.teamSize != null && { key: 'team', text: p.teamSize === 1 ? 'Solo' : `${p.teamSize} people` },
+    p.startupCost != null && { key: 'cost', text: `Started on ${formatMoney(p.startupCost)}` },
+    p.funding && { key: 'funding', text: FUNDING[p.funding] },
+  ].filter(Boolean);
+}
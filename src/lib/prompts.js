@@ -0,0 +1,198 @@
+import { formatDate, formatTimestamp, timestampAt } from './search.js';
+import { stripCitations, resolveCitation } from './citations.js';
+import { complete, LLMError } from './llm.js';
+
+/**
+ * Prompt building for AI answers — shared by the /api/ai-search route and
+ * anything else that asks the model about the corpus
+ */
+
+// How much transcript an answer or comparison may put in front of the model
+export const CONTEXT_TOKENS = parseInt(process.env.AI_CONTEXT_TOKENS || '6000', 10);
+
+export const SYSTEM_PROMPT = `You are an expert analyst helping a user extract actionable wisdom from founder interview transcripts collected from YouTube.
+
+Your job:
+- Synthesize insights across multiple interviews to answer the user's question
+- Reference specific founders/companies by name when possible
+- Be concise, practical, and actionable
+- Use concrete numbers and examples from the transcripts
+- If the transcripts don't have relevant info, say so honestly
+- Format with short paragraphs, no bullet points unless specifically listing items
+- Cite the passage behind every claim right after it, as [N.M] using the (N.M) label of the passage — e.g. [2.1]. Only cite labels that appear in the transcripts below`;
+
+/**
+ * One [Interview N] block per video, holding its selected passages labelled
+ * (N.M) so the model can cite them
+ */
+export function buildContext(groups) {
+  return groups
+    .map(({ video, passages }, i) => {
+      const text = passages
+        .map((p, j) => `(${i + 1}.${j + 1}) ` + (p.timestamp != null ? `[${formatTimestamp(p.timestamp)}] ` : '') + p.text)
+        .join('\n...\n');
+      const channel = video.channelTitle ? `${video.channelTitle}, ` : '';
+      return `[Interview ${i + 1}: "${video.title}" — ${channel}${formatDate(video.publishedAt)}]\n${text}`;
+    })
+    .join('\n\n---\n\n');
+}
+
+/**
+ * What the client gets to resolve citations: interview N is sources[N - 1],
+ * passage N.M is its passages[M - 1]
+ */
+export function buildSources(groups) {
+  return groups.map(({ video, passages }) => ({
+    id: video.id,
+    title: video.title,
+    url: video.url,
+    passages: passages.map(({ start, end, timestamp }) => ({ start, end, timestamp })),
+  }));
+}
+
+/**
+ * Chat messages asking `query` over the selected passages. Earlier turns of
+ * a conversation ([{ question, answer }]) go in between, without their
+ * citation markers since passage labels are renumbered every turn.
+ */
+export function buildMessages(query, groups, turns = []) {
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    ...turns.flatMap(t => [
+      { role: 'user', content: t.question },
+      { role: 'assistant', content: stripCitations(t.answer || '') },
+    ]),
+    { role: 'user', content: `Based on these founder interview transcripts:\n\n${buildContext(groups)}\n\n---\n\nQuestion: ${query}` },
+  ];
+}
+
+// ─── Follow-up questions ────────────────────────────────────────
+
+export const REWRITE_PROMPT = `Rewrite the user's follow-up question as one standalone search query for a collection of founder interview transcripts. Use the earlier conversation to spell out whatever the follow-up refers to. Reply with the query only — no quotes, no explanation.`;
+
+// Longest conversation fed back to the model, in turns
+export const MAX_TURNS = 6;
+
+/**
+ * Turn a follow-up like "what about for B2B?" into a standalone retrieval
+ * query. Falls back to joining it onto the previous question if the model
+ * fails or rambles.
+ */
+export async function rewriteQuery(llm, turns, followUp, options) {
+  const fallback = `${turns[turns.length - 1]?.question || ''} ${followUp}`.trim();
+  const conversation = turns
+    .map(t => `Q: ${t.question}\nA: ${stripCitations(t.answer || '').slice(0, 600)}`)
+    .join('\n\n');
+  try {
+    const rewritten = (await complete(llm, [
+      { role: 'system', content: REWRITE_PROMPT },
+      { role: 'user', content: `${conversation}\n\nFollow-up: ${followUp}` },
+    ], options)).trim().replace(/^"|"$/g, '');
+    return rewritten && rewritten.length <= 300 && !rewritten.includes('\n') ? rewritten : fallback;
+  } catch (err) {
+    if (!(err instanceof LLMError)) throw err;
+    return fallback;
+  }
+}
+
+/**
+ * Passages cited in earlier turns, re-read from the corpus so they stay in
+ * context. Citations come from the client, so offsets are checked.
+ */
+export function citedPassages(turns, videosById) {
+  const pinned = [];
+  const seen = new Set();
+  for (const c of turns.flatMap(t => Array.isArray(t.citations) ? t.citations : [])) {
+    const video = videosById.get(c?.videoId);
+    const text = video?.transcript || '';
+    const { start, end } = c || {};
+    if (!video || !Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > text.length || end - start > 2000) continue;
+    const key = `${video.id}:${start}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    pinned.push({ video, passage: { id: video.id, start, end, timestamp: timestampAt(video.segments, start), text: text.slice(start, end) } });
+  }
+  return pinned;
+}
+
+// ─── Comparison ─────────────────────────────────────────────────
+
+export const COMPARE_PROMPT = `You compare what different founders say about one question, using founder interview transcripts. Don't merge their views into one answer — the point is to show where they agree and where they disagree.
+
+Reply with one JSON object and nothing else:
+{
+  "summary": "one or two sentences on how the founders' views split",
+  "positions": [
+    { "interview": 1, "founder": "founder or company name", "stance": "their position in 2-5 words", "position": "their view in one sentence", "quote": "their exact words from the transcript", "cite": "1.2" }
+  ],
+  "clusters": [
+    { "label": "the shared view in a few words", "summary": "one sentence", "interviews": [1, 3] }
+  ]
+}
+
+- One entry in "positions" per interview that addresses the question; leave out interviews that don't
+- "quote" must be copied word for word from the passage labelled "cite"
+- Put founders who agree in the same cluster; founders who disagree go in different clusters. Every interview in "positions" belongs to exactly one cluster`;
+
+/**
+ * Chat messages asking the model to compare the founders in `groups` on
+ * `query`, answering in COMPARE_PROMPT's JSON
+ */
+export function buildCompareMessages(query, groups) {
+  return [
+    { role: 'system', content: COMPARE_PROMPT },
+    { role: 'user', content: `Founder interview transcripts:\n\n${buildContext(groups)}\n\n---\n\nCompare on: ${query}` },
+  ];
+}
+
+const squash = text => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+const field = (value, max = 400) => typeof value === 'string' ? value.trim().slice(0, max) : '';
+
+/**
+ * Check the model's comparison against what it was sent. Returns
+ * { summary, positions, clusters }: positions carry their resolved
+ * `citation` and whether the quote really is in that interview's passages
+ * (`verified`); cluster members are interview numbers with a position.
+ * Throws an LLMError if there's no usable JSON.
+ */
+export function parseComparison(text, groups, sources) {
+  const json = text.match(/\{[\s\S]*\}/);
+  let data;
+  try {
+    data = JSON.parse(json?.[0]);
+  } catch {
+    throw new LLMError('The model did not return a comparison');
+  }
+
+  const positions = [];
+  for (const p of Array.isArray(data.positions) ? data.positions : []) {
+    const interview = parseInt(p?.interview, 10);
+    const group = groups[interview - 1];
+    if (!group || positions.some(other => other.interview === interview)) continue;
+    const [n, m] = String(p.cite || '').split('.').map(x => parseInt(x, 10));
+    const citation = resolveCitation(sources, interview, n === interview && m ? m : null);
+    const quote = field(p.quote, 600);
+    positions.push({
+      interview,
+      videoId: group.video.id,
+      title: group.video.title,
+      founder: field(p.founder, 80) || group.video.title,
+      stance: field(p.stance, 80),
+      position: field(p.position),
+      quote,
+      verified: !!quote && group.passages.some(passage => squash(passage.text).includes(squash(quote))),
+      citation,
+    });
+  }
+
+  const placed = new Set(positions.map(p => p.interview));
+  const clusters = (Array.isArray(data.clusters) ? data.clusters : [])
+    .map(c => ({
+      label: field(c?.label, 120),
+      summary: field(c?.summary),
+      interviews: [...new Set((Array.isArray(c?.interviews) ? c.interviews : []).map(n => parseInt(n, 10)))].filter(n => placed.has(n)),
+    }))
+    .filter(c => c.label && c.interviews.length);
+
+  return { summary: field(data.summary, 600), positions, clusters };
+}
@@ -1,56 +1,502 @@
+import { BUSINESS_MODELS, FUNDING, monthlyRevenue } from './profile.js';
+
+// ─── Tokenizing ─────────────────────────────────────────────────
+
+const STOPWORDS = new Set(`a an and are as at be but by for from has have he i if in into is it its
+of on or so that the their them then there they this to was we were what when where which who will
+with you your our us me my do did does just like um uh yeah`.split(/\s+/));
+
+/**
+ * Light suffix-stripping stemmer — enough to fold plurals and common verb
+ * forms ("customers" / "customer", "pricing" / "priced" / "price") together
+ */
+export function stem(word) {
+  if (word.length < 4 || /\d/.test(word)) return word;
+  let w = word;
+  if (w.endsWith('ies') && w.length > 4) w = w.slice(0, -3) + 'y';
+  else if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  if (w.endsWith('ing') && w.length > 5 && /[aeiouy]/.test(w.slice(0, -3))) w = undouble(w.slice(0, -3));
+  else if (w.endsWith('ed') && w.length > 4 && /[aeiouy]/.test(w.slice(0, -2))) w = undouble(w.slice(0, -2));
+
+  if (w.endsWith('ly') && w.length > 5) w = w.slice(0, -2);
+  if (w.endsWith('e') && w.length > 3) w = w.slice(0, -1);
+  return w;
+}
+
+function undouble(w) {
+  return /([^aeiouylsz])\1$/.test(w) ? w.slice(0, -1) : w;
+}
+
+// Amounts are matched before plain words so "$10k", "$10,000/mo" and
+// "10 thousand dollars" all become the same "$10000" term, and "20 percent"
+// and "20%" both become "20%"
+const MONEY = String.raw`\$\s?\d[\d,]*(?:\.\d+)?(?:\s?(?:thousand|million|billion|mm|k|m|b)\b)?(?:\s?\/\s?(?:mo|month|yr|year)\b)?`;
+const DOLLARS = String.raw`\d[\d,]*(?:\.\d+)?\s?(?:(?:thousand|million|billion|k|m)\s?)?(?:dollars|bucks|usd|grand)\b`;
+const PERCENT = String.raw`\d+(?:\.\d+)?\s?(?:%|percent\b)`;
+const AMOUNT = `${MONEY}|${DOLLARS}|${PERCENT}`;
+// "c++", "c#", then numbers with thousands separators or decimals, then words
+const WORD_RE = new RegExp(`${AMOUNT}|[A-Za-z]+(?:\\+\\+|#)|\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+\\.\\d+|[A-Za-z0-9'’]+`, 'gi');
+
+const UNITS = { k: 1e3, thousand: 1e3, grand: 1e3, m: 1e6, mm: 1e6, million: 1e6, b: 1e9, billion: 1e9 };
+
+/**
+ * Normalize one matched token to its raw (unstemmed) term
+ */
+function normalizeToken(token) {
+  const lower = token.toLowerCase();
+  const number = lower.match(/\d[\d,]*(?:\.\d+)?/);
+
+  if (lower.startsWith('$') || /(dollars|bucks|usd|grand)$/.test(lower)) {
+    const rest = lower.slice(number.index + number[0].length);
+    let amount = parseFloat(number[0].replace(/,/g, ''));
+    for (const unit of rest.match(/[a-z]+/g) || []) amount *= UNITS[unit] || 1;
+    return '$' + Math.round(amount);
+  }
+  if (lower.endsWith('%') || lower.endsWith('percent')) {
+    return parseFloat(number[0]) + '%';
+  }
+  if (number && number.index === 0 && /^[\d,.]+$/.test(lower)) return lower.replace(/,/g, '');
+  return lower.replace(/['’]/g, '');
+}
+
+/**
+ * Walk the words of a text, keeping their character offsets alongside the
+ * stemmed index term (null for stopwords and single characters). This is the
+ * one tokenizer behind indexing, query parsing, excerpts and highlighting.
+ */
+export function scanWords(text) {
+  const words = [];
+  if (!text) return words;
+  const re = new RegExp(WORD_RE);
+  let m;
+  while ((m = re.exec(text))) {
+    const w = normalizeToken(m[0]);
+    if (!w) continue;
+    words.push({
+      start: m.index,
+      end: m.index + m[0].length,
+      term: w.length > 1 && !STOPWORDS.has(w) ? stem(w) : null,
+    });
+  }
+  return words;
+}
+
+/**
+ * Split text into stemmed index terms, dropping stopwords and single characters
+ */
+export function tokenize(text) {
+  const terms = [];
+  for (const w of scanWords(text)) {
+    if (w.term) terms.push(w.term);
+  }
+  return terms;
+}
+
+// ─── Query parsing ──────────────────────────────────────────────
+
+// Prefixes that scope a term or phrase to one indexed text field
+const TEXT_FIELDS = {
+  title: 'title',
+  desc: 'description',
+  description: 'description',
+  transcript: 'transcript',
+  text: 'transcript',
+};
+
+// Prefixes that filter on metadata stored by collect.mjs — numbers, or one
+// of a fixed set of values (`exact`)
+const FILTER_FIELDS = {
+  year: { get: v => v.publishedAt ? new Date(v.publishedAt).getUTCFullYear() : null, parse: parseCount },
+  views: { get: v => v.viewCount, parse: parseCount },
+  duration: { get: v => v.durationSeconds, parse: parseSeconds },
+  words: { get: v => v.wordCount, parse: parseCount },
+  mrr: { get: monthlyRevenue, parse: parseCount },
+  team: { get: v => v.profile?.teamSize, parse: parseCount },
+  model: { get: v => v.profile?.businessModel, parse: parseChoice(BUSINESS_MODELS), exact: true },
+  funding: { get: v => v.profile?.funding, parse: parseChoice(FUNDING), exact: true },
+  // Sources are whatever sources.json names, so any id is accepted
+  source: { get: v => videoSource(v).toLowerCase(), parse: str => str.toLowerCase(), exact: true },
+};
+FILTER_FIELDS.channel = FILTER_FIELDS.source;
+
+/**
+ * Parse "100k", "$1.5m", "12,000" into a number
+ */
+function parseCount(str) {
+  const m = str.replace(/[,$]/g, '').match(/^(\d+(?:\.\d+)?)([km]?)$/i);
+  if (!m) return null;
+  const mult = { '': 1, k: 1e3, m: 1e6 }[m[2].toLowerCase()];
+  return parseFloat(m[1]) * mult;
+}
+
+/**
+ * Parse "20m", "1h30m", "90s" into seconds — a bare number means minutes
+ */
+function parseSeconds(str) {
+  if (/^\d+(?:\.\d+)?$/.test(str)) return parseFloat(str) * 60;
+  const m = str.match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m)?(?:(\d+)s)?$/i);
+  if (!m || !(m[1] || m[2] || m[3])) return null;
+  return (parseFloat(m[1] || 0) * 3600) + (parseFloat(m[2] || 0) * 60) + parseInt(m[3] || 0, 10);
+}
+
 /**
- * Score how relevant a transcript is to a search query
+ * Parser for a value from `options` ({ key: label }) — "SaaS" and
+ * "e-commerce" find saas and ecommerce
  */
-export function scoreRelevance(video, query) {
-  if (!query) return 0;
-  const terms = query.toLowerCase().split(/\s+/).filter(t => t.length > 1);
-  let score = 0;
+function parseChoice(options) {
+  return str => {
+    const key = str.toLowerCase().replace(/[^a-z]/g, '');
+    return key in options ? key : null;
+  };
+}
 
-  const title = (video.title || '').toLowerCase();
-  const text = (video.transcript || '').toLowerCase();
-  const desc = (video.description || '').toLowerCase();
+function parseFilter(field, value) {
+  const { parse, exact } = FILTER_FIELDS[field];
+  if (exact) {
+    const choice = parse(value.replace(/^=/, ''));
+    return choice == null ? null : { field, op: '=', value: choice };
+  }
+  const range = value.match(/^(.+)\.\.(.+)$/);
+  if (range) {
+    const min = parse(range[1]), max = parse(range[2]);
+    return min == null || max == null ? null : { field, op: '..', value: [min, max] };
+  }
+  const m = value.match(/^(>=|<=|>|<|=)?(.+)$/);
+  const n = parse(m[2]);
+  return n == null ? null : { field, op: m[1] || '=', value: n };
+}
+
+function textItem(text, field, quoted) {
+  const terms = tokenize(text);
+  if (!terms.length) return null;
+  return { type: quoted || terms.length > 1 ? 'phrase' : 'term', field: field || null, text, terms };
+}
+
+/**
+ * Parse a search query into
+ *   { must: [[item, ...], ...], should: [item], not: [item], filters: [filter] }
+ *
+ * Supported syntax:
+ *   "exact phrase"        phrase match
+ *   +term / +"phrase"     required
+ *   -term / -"phrase"     excluded
+ *   a OR b                at least one of a, b is required
+ *   title: desc:          scope a term or phrase to one field
+ *   year: views: duration: words: mrr: team:
+ *                         numeric filters — 2024, >=2023, <100k, 20m..1h,
+ *                         mrr:>$10k (monthly revenue)
+ *   model: funding:       model:saas, funding:bootstrapped (see profile.js)
+ *   source: (or channel:) source:starterstory — a source id from sources.json
+ *
+ * Each entry in `must` is a group of alternatives, at least one of which
+ * has to match. Plain terms go to `should`: when there's no required group,
+ * at least one of them has to match.
+ */
+export function parseQuery(input) {
+  const parsed = { must: [], should: [], not: [], filters: [] };
+  if (!input) return parsed;
+
+  const groups = [];
+  let joinNext = false;
+  // Multi-word amounts ("10,000 dollars") stay one bare token
+  const re = new RegExp(`([+-]?)(?:([a-z]+):)?(?:"([^"]*)"?|((?:${AMOUNT})(?=\\s|$)|\\S+))`, 'gi');
+  let m;
+
+  while ((m = re.exec(input))) {
+    const [, sign, prefix, quoted, bare] = m;
+    if (!sign && !prefix && bare === 'OR') {
+      joinNext = groups.length > 0;
+      continue;
+    }
+
+    const key = prefix?.toLowerCase();
+    if (key && FILTER_FIELDS[key] && bare) {
+      const filter = parseFilter(key, bare);
+      if (filter) parsed.filters.push(filter);
+      continue;
+    }
+
+    const field = key && TEXT_FIELDS[key];
+    // Unknown prefixes ("http:", "c:") are just part of the text
+    const text = quoted ?? (prefix && !field ? `${prefix}:${bare}` : bare);
+    const item = textItem(text, field, quoted != null);
+    if (!item) continue;
+
+    if (sign === '-') {
+      parsed.not.push(item);
+    } else if (joinNext) {
+      const group = groups[groups.length - 1];
+      group.items.push(item);
+      group.required = true;
+    } else {
+      groups.push({ items: [item], required: sign === '+' });
+    }
+    joinNext = false;
+  }
+
+  for (const group of groups) {
+    if (group.required) parsed.must.push(group.items);
+    else parsed.should.push(...group.items);
+  }
+  return parsed;
+}
+
+/**
+ * Positive (non-excluded) text items of a parsed query
+ */
+export function queryItems(parsed) {
+  return [...parsed.must.flat(), ...parsed.should];
+}
+
+/**
+ * The words a query searches for, without its syntax — no quotes, signs,
+ * exclusions or filters: '"cold email" -ads mrr:>10k' -> "cold email"
+ */
+export function queryText(parsed) {
+  return queryItems(parsed).map(item => item.text).join(' ');
+}
+
+function passesFilter(video, { field, op, value }) {
+  const actual = FILTER_FIELDS[field].get(video);
+  if (actual == null) return false;
+  switch (op) {
+    case '>': return actual > value;
+    case '>=': return actual >= value;
+    case '<': return actual < value;
+    case '<=': return actual <= value;
+    case '..': return actual >= value[0] && actual <= value[1];
+    default: return actual === value;
+  }
+}
+
+// ─── Inverted index + BM25 ──────────────────────────────────────
+
+export const INDEX_VERSION = 2;
+
+// Field order used for doc lengths and postings; weights match the old
+// title 5x / description 2x / transcript 1x scoring
+const FIELDS = ['title', 'description', 'transcript'];
+const FIELD_WEIGHTS = [5, 2, 1];
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Build an inverted index over videos. Postings are flat arrays of
+ * [docIndex, titleTf, descriptionTf, transcriptTf, docIndex, ...] to keep the
+ * JSON compact.
+ */
+export function buildIndex(videos) {
+  const docs = [];
+  const postings = Object.create(null);
+  const totals = FIELDS.map(() => 0);
+
+  videos.forEach((video, docIdx) => {
+    const counts = new Map();
+    const lengths = FIELDS.map((field, f) => {
+      const terms = tokenize(video[field]);
+      for (const term of terms) {
+        let tf = counts.get(term);
+        if (!tf) counts.set(term, tf = FIELDS.map(() => 0));
+        tf[f]++;
+      }
+      totals[f] += terms.length;
+      return terms.length;
+    });
+    for (const [term, tf] of counts) {
+      (postings[term] ||= []).push(docIdx, ...tf);
+    }
+    docs.push({ id: video.id, lengths });
+  });
+
+  return {
+    version: INDEX_VERSION,
+    fields: FIELDS,
+    docCount: docs.length,
+    avgLengths: totals.map(t => docs.length ? t / docs.length : 0),
+    docs,
+    postings,
+  };
+}
+
+/**
+ * BM25 inverse document frequency of a term (0 when it isn't indexed)
+ */
+function termIdf(index, term) {
+  if (!Object.hasOwn(index.postings, term)) return 0;
+  const df = index.postings[term].length / (FIELDS.length + 1);
+  return Math.log(1 + (index.docCount - df + 0.5) / (df + 0.5));
+}
+
+/**
+ * BM25F scores of one query item, as Map(docIndex -> score). Phrases only
+ * keep documents that contain every term and, when the video text is
+ * loaded, the exact sequence.
+ */
+function scoreItem(index, item, videosById) {
+  const stride = FIELDS.length + 1;
+  const fields = item.field ? [FIELDS.indexOf(item.field)] : FIELDS.map((_, f) => f);
+  const scores = new Map();
+  const hits = new Map();
+  const terms = [...new Set(item.terms)];
 
   for (const term of terms) {
-    // Title matches worth 5x
-    if (title.includes(term)) score += 5;
-    // Description matches worth 2x
-    if (desc.includes(term)) score += 2;
-    // Count occurrences in transcript
-    const regex = new RegExp(term, 'gi');
-    const matches = text.match(regex);
-    if (matches) score += Math.min(matches.length, 20); // Cap at 20
+    if (!Object.hasOwn(index.postings, term)) continue;
+    const list = index.postings[term];
+    const idf = termIdf(index, term);
+
+    for (let i = 0; i < list.length; i += stride) {
+      const docIdx = list[i];
+      const { lengths } = index.docs[docIdx];
+      let tf = 0;
+      for (const f of fields) {
+        const raw = list[i + 1 + f];
+        if (!raw) continue;
+        const norm = 1 - BM25_B + BM25_B * (lengths[f] / (index.avgLengths[f] || 1));
+        tf += FIELD_WEIGHTS[f] * raw / norm;
+      }
+      if (!tf) continue;
+      const s = idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1);
+      scores.set(docIdx, (scores.get(docIdx) || 0) + s);
+      hits.set(docIdx, (hits.get(docIdx) || 0) + 1);
+    }
+  }
+
+  if (item.type !== 'phrase') return scores;
+
+  const phrase = new Map();
+  for (const [docIdx, score] of scores) {
+    if (hits.get(docIdx) < terms.length) continue;
+    const video = videosById?.get(index.docs[docIdx].id);
+    // Transcripts that aren't loaded (see shards.js) can't rule a phrase out
+    if (video && !fields.some(f => video[FIELDS[f]] == null || matchSpans(video[FIELDS[f]], [item]).length)) continue;
+    // Exact phrase matches count double
+    phrase.set(docIdx, score * 2);
+  }
+  return phrase;
+}
+
+/**
+ * The query's hard constraints as a test of one indexed doc: every required
+ * group matched, no excluded item, every metadata filter passed.
+ * `itemScores` holds scoreItem() results for the required items.
+ */
+function queryConstraints(index, parsed, videosById, itemScores) {
+  const required = parsed.must.map(group => new Set(group.flatMap(item => [...itemScores.get(item).keys()])));
+  const excluded = new Set(parsed.not.flatMap(item => [...scoreItem(index, item, videosById).keys()]));
+  return docIdx => {
+    if (excluded.has(docIdx) || !required.every(docs => docs.has(docIdx))) return false;
+    if (!parsed.filters.length) return true;
+    const video = videosById?.get(index.docs[docIdx].id);
+    return !!video && parsed.filters.every(f => passesFilter(video, f));
+  };
+}
+
+/**
+ * Rank indexed videos against a query (string or parseQuery() result) with
+ * BM25F. Returns [{ id, score }] sorted by descending score. `videosById`
+ * (Map of id -> video) is needed for metadata filters and exact phrase checks.
+ */
+export function searchIndex(index, query, videosById = null) {
+  if (!index || !query) return [];
+  const parsed = typeof query === 'string' ? parseQuery(query) : query;
+  const items = queryItems(parsed);
+  if (!items.length && !parsed.filters.length) return [];
+
+  const itemScores = new Map(items.map(item => [item, scoreItem(index, item, videosById)]));
+
+  // Candidates: every required group matched, or else any optional item
+  let candidates;
+  if (parsed.must.length) {
+    candidates = parsed.must[0].flatMap(item => [...itemScores.get(item).keys()]);
+  } else if (parsed.should.length) {
+    candidates = parsed.should.flatMap(item => [...itemScores.get(item).keys()]);
+  } else {
+    candidates = index.docs.map((_, docIdx) => docIdx);
+  }
+  const allowed = queryConstraints(index, parsed, videosById, itemScores);
+
+  const results = [];
+  for (const docIdx of new Set(candidates)) {
+    if (!allowed(docIdx)) continue;
+    let score = 0;
+    for (const scores of itemScores.values()) score += scores.get(docIdx) || 0;
+    results.push({ id: index.docs[docIdx].id, score });
+  }
+
+  // Filter-only queries keep index (newest-first) order
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Hits ranked some other way — [{ id, ... }], e.g. from semantic search —
+ * narrowed to the videos a query's required terms, exclusions and filters
+ * allow, as searchIndex would
+ */
+export function filterHits(index, query, hits, videosById = null) {
+  const parsed = typeof query === 'string' ? parseQuery(query) : query;
+  const itemScores = new Map(parsed.must.flat().map(item => [item, scoreItem(index, item, videosById)]));
+  const allowed = queryConstraints(index, parsed, videosById, itemScores);
+  const docOf = new Map(index.docs.map((doc, docIdx) => [doc.id, docIdx]));
+  return hits.filter(hit => docOf.has(hit.id) && allowed(docOf.get(hit.id)));
+}
+
+// ─── Matching, excerpts, highlighting ───────────────────────────
+
+/**
+ * Character ranges in `text` matching any of the query items, sorted by
+ * start. Each span keeps the `item` it matched.
+ */
+export function matchSpans(text, items) {
+  if (!text || !items.length) return [];
+  const words = scanWords(text).filter(w => w.term);
+  const spans = [];
+
+  for (const item of items) {
+    const n = item.terms.length;
+    for (let i = 0; i + n <= words.length; i++) {
+      let ok = true;
+      for (let j = 0; j < n && ok; j++) ok = words[i + j].term === item.terms[j];
+      if (ok) spans.push({ start: words[i].start, end: words[i + n - 1].end, item });
+    }
   }
 
-  // Bonus for exact phrase in transcript
-  if (text.includes(query.toLowerCase())) score += 15;
-  // Bonus for exact phrase in title
-  if (title.includes(query.toLowerCase())) score += 25;
+  return spans.sort((a, b) => a.start - b.start || b.end - a.end);
+}
 
-  return score;
+function textItemsFor(query, field) {
+  const parsed = typeof query === 'string' ? parseQuery(query) : query;
+  return queryItems(parsed).filter(item => !item.field || item.field === field);
 }
 
 /**
- * Extract the most relevant excerpt from a transcript
+ * Extract the most relevant excerpt from a transcript. `query` may be a
+ * string or a parseQuery() result.
+ * Returns { text, timestamp } — timestamp is the video offset (seconds) where
+ * the excerpt starts, or null when the transcript has no timing segments.
  */
-export function extractExcerpt(text, query, maxLen = 350) {
-  if (!text) return '';
-  if (!query) return text.slice(0, maxLen) + (text.length > maxLen ? '...' : '');
+export function extractExcerpt(text, query, maxLen = 350, segments = []) {
+  if (!text) return { text: '', timestamp: null };
+  if (!query) {
+    return {
+      text: text.slice(0, maxLen) + (text.length > maxLen ? '...' : ''),
+      timestamp: timestampAt(segments, 0),
+    };
+  }
 
-  const lower = text.toLowerCase();
-  const terms = query.toLowerCase().split(/\s+/).filter(t => t.length > 1);
+  const spans = matchSpans(text, textItemsFor(query, 'transcript'));
 
   // Find the position with the highest density of search terms
   let bestPos = 0;
   let bestScore = 0;
   const step = 30;
+  let first = 0, last = 0;
 
-  for (let i = 0; i < lower.length - 100; i += step) {
-    const window = lower.slice(i, i + maxLen);
-    let s = 0;
-    for (const term of terms) {
-      const matches = window.match(new RegExp(term, 'gi'));
-      if (matches) s += matches.length;
-    }
+  for (let i = 0; i < text.length - 100; i += step) {
+    while (first < spans.length && spans[first].start < i) first++;
+    while (last < spans.length && spans[last].start < i + maxLen) last++;
+    const s = last - first;
     if (s > bestScore) {
       bestScore = s;
       bestPos = i;
@@ -68,26 +514,300 @@ export function extractExcerpt(text, query, maxLen = 350) {
   const prefix = start > 0 ? '...' : '';
   const suffix = start + maxLen < text.length ? '...' : '';
 
-  return prefix + excerpt + suffix;
+  return { text: prefix + excerpt + suffix, timestamp: timestampAt(segments, start) };
+}
+
+// Paragraph length, in words, wherever a whole transcript is shown: the
+// reader, `founder-wisdom show` and Markdown exports
+export const PARAGRAPH_WORDS = 90;
+
+/**
+ * Split a transcript into passages of about `maxWords` words, preferring to
+ * cut at a sentence end. Returns [{ id, start, end, timestamp, text }] with
+ * character offsets into the transcript.
+ */
+export function splitPassages(video, maxWords = 120) {
+  const text = video.transcript || '';
+  const passages = [];
+  const re = /\S+/g;
+  let start = null, end = 0, count = 0, m;
+
+  const flush = () => {
+    passages.push({ id: video.id, start, end, timestamp: timestampAt(video.segments, start), text: text.slice(start, end) });
+    start = null;
+    count = 0;
+  };
+
+  while ((m = re.exec(text))) {
+    if (start === null) start = m.index;
+    end = m.index + m[0].length;
+    count++;
+    if (count >= maxWords || (count >= maxWords * 0.7 && /[.?!]$/.test(m[0]))) flush();
+  }
+  if (start !== null) flush();
+  return passages;
+}
+
+/**
+ * Rough token count for prompt budgeting (~4 characters per token)
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text?.length || 0) / 4);
+}
+
+/**
+ * Pick the best-matching transcript passages across the top-ranked videos,
+ * best first, until `maxTokens` is spent. `pinned` is [{ video, passage }]
+ * to include ahead of everything else. At most `perVideo` passages come
+ * from one interview so a single long transcript can't crowd out the rest.
+ * Returns [{ video, passages }] in order of each video's best passage, with
+ * passages in transcript order.
+ */
+export function selectPassages(index, videosById, query, { maxTokens = 6000, maxVideos = 20, perVideo = 3, pinned = [] } = {}) {
+  const parsed = typeof query === 'string' ? parseQuery(query) : query;
+  const items = queryItems(parsed);
+  const weights = new Map(items.map(item => [item, item.terms.reduce((sum, t) => sum + termIdf(index, t), 0)]));
+  // Pinned passages (e.g. ones cited earlier in a conversation) go in first
+  const candidates = pinned.map(({ video, passage }) => ({ video, passage, score: Infinity }));
+  const seen = new Set(candidates.map(c => `${c.video.id}:${c.passage.start}`));
+
+  // videosById may be a subset of the index (one source, say)
+  for (const hit of searchIndex(index, parsed, videosById).filter(hit => videosById.has(hit.id)).slice(0, maxVideos)) {
+    const video = videosById.get(hit.id);
+    if (!video) continue;
+    for (const passage of splitPassages(video)) {
+      // Repeats of one term count less than covering several terms
+      const counts = new Map();
+      for (const { item } of matchSpans(passage.text, items)) counts.set(item, (counts.get(item) || 0) + 1);
+      let score = 0;
+      for (const [item, n] of counts) score += weights.get(item) * Math.log(1 + n);
+      if ((score > 0 || !items.length) && !seen.has(`${video.id}:${passage.start}`)) candidates.push({ video, passage, score });
+    }
+  }
+
+  const picked = new Map();
+  let budget = maxTokens;
+  for (const { video, passage } of candidates.sort((a, b) => b.score - a.score)) {
+    const cost = estimateTokens(passage.text);
+    const group = picked.get(video.id);
+    if (cost > budget || group?.passages.length >= perVideo) continue;
+    if (group) group.passages.push(passage);
+    else picked.set(video.id, { video, passages: [passage] });
+    budget -= cost;
+    if (budget < 50) break;
+  }
+
+  const groups = [...picked.values()];
+  for (const group of groups) group.passages.sort((a, b) => a.start - b.start);
+  return groups;
 }
 
 /**
- * Highlight search terms in text — returns array of {text, highlight} objects
+ * Interviews most like `video`: its most distinctive terms (tf-idf over
+ * title, description and transcript) searched as one query. Returns
+ * [{ id, score }] without the video itself.
  */
-export function highlightTerms(text, query) {
-  if (!text || !query) return [{ text, highlight: false }];
-  
-  const terms = query.split(/\s+/).filter(t => t.length > 1);
-  if (terms.length === 0) return [{ text, highlight: false }];
+export function relatedVideos(index, videosById, video, { limit = 5, terms = 12 } = {}) {
+  const counts = new Map();
+  for (const field of FIELDS) {
+    for (const term of tokenize(video[field])) counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  const top = [...counts]
+    // Terms no other video uses can't find anything related
+    .filter(([term]) => Object.hasOwn(index.postings, term) && index.postings[term].length > FIELDS.length + 1)
+    .map(([term, tf]) => ({ term, weight: Math.log(1 + tf) * termIdf(index, term) }))
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, terms);
+  const parsed = { must: [], should: top.map(({ term }) => ({ type: 'term', field: null, text: term, terms: [term] })), not: [], filters: [] };
+  return searchIndex(index, parsed, videosById)
+    .filter(hit => hit.id !== video.id && videosById.has(hit.id))
+    .slice(0, limit);
+}
 
-  const pattern = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
-  const regex = new RegExp(`(${pattern})`, 'gi');
-  const parts = text.split(regex);
+/**
+ * Find the video offset (seconds) of the caption segment containing a
+ * character position in the flattened transcript
+ */
+export function timestampAt(segments, charPos) {
+  if (!segments?.length) return null;
+  let lo = 0, hi = segments.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (segments[mid].start <= charPos) lo = mid;
+    else hi = mid - 1;
+  }
+  return segments[lo].offset;
+}
 
-  return parts.map(part => ({
-    text: part,
-    highlight: regex.test(part) || terms.some(t => part.toLowerCase() === t.toLowerCase()),
-  }));
+/**
+ * Link to a video at a given offset (seconds)
+ */
+export function watchUrl(url, seconds) {
+  if (!url || !seconds) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}t=${Math.floor(seconds)}s`;
+}
+
+/**
+ * Format a video offset (seconds) as m:ss or h:mm:ss
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.floor(seconds || 0);
+  const h = Math.floor(total / 3600), m = Math.floor((total % 3600) / 60), s = total % 60;
+  return h > 0 ? `${h}:${String(m).padStart(2,'0')}:${String(s).padStart(2,'0')}` : `${m}:${String(s).padStart(2,'0')}`;
+}
+
+/**
+ * Character ranges [start, end] of the positive terms and phrases of a query
+ * in text, sorted and non-overlapping. Items scoped to another field are
+ * skipped.
+ */
+export function highlightSpans(text, query, field = 'transcript') {
+  if (!text || !query) return [];
+  const ranges = [];
+  let pos = 0;
+  for (const { start, end } of matchSpans(text, textItemsFor(query, field))) {
+    if (end <= pos) continue;
+    ranges.push([Math.max(start, pos), end]);
+    pos = end;
+  }
+  return ranges;
+}
+
+/**
+ * Highlight the positive terms and phrases of a query in text — returns array
+ * of {text, highlight} objects
+ */
+export function highlightTerms(text, query, field = 'transcript') {
+  const spans = highlightSpans(text, query, field);
+  if (spans.length === 0) return [{ text, highlight: false }];
+
+  const parts = [];
+  let pos = 0;
+  for (const [start, end] of spans) {
+    if (start > pos) parts.push({ text: text.slice(pos, start), highlight: false });
+    parts.push({ text: text.slice(start, end), highlight: true });
+    pos = end;
+  }
+  if (pos < text.length) parts.push({ text: text.slice(pos), highlight: false });
+  return parts;
+}
+
+// ─── Sorting ────────────────────────────────────────────────────
+
+// Result orders besides relevance, each comparing two videos
+const SORT_ORDERS = {
+  newest: (a, b) => new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0),
+  oldest: (a, b) => new Date(a.publishedAt || 0) - new Date(b.publishedAt || 0),
+  views: (a, b) => (b.viewCount || 0) - (a.viewCount || 0),
+  longest: (a, b) => (b.durationSeconds || 0) - (a.durationSeconds || 0),
+  revenue: (a, b) => (monthlyRevenue(b) || 0) - (monthlyRevenue(a) || 0),
+};
+
+export const SORTS = ['relevance', ...Object.keys(SORT_ORDERS)];
+
+/**
+ * Reorder ranked hits ([{ id, score }]) by video metadata. 'relevance'
+ * keeps the ranking; ties keep it too.
+ */
+export function sortHits(hits, videosById, sort = 'relevance') {
+  const compare = SORT_ORDERS[sort];
+  if (!compare) return hits;
+  return hits
+    .map((hit, rank) => ({ hit, rank, video: videosById.get(hit.id) || {} }))
+    .sort((a, b) => compare(a.video, b.video) || a.rank - b.rank)
+    .map(({ hit }) => hit);
+}
+
+// ─── Facets ─────────────────────────────────────────────────────
+
+// Numeric facets split into bands of [value, label, min, max)
+const BANDS = {
+  duration: {
+    label: 'Length',
+    get: v => v.durationSeconds,
+    bands: [['short', '< 15 min', 0, 900], ['medium', '15–30 min', 900, 1800], ['long', '30–60 min', 1800, 3600], ['marathon', '60+ min', 3600, Infinity]],
+  },
+  views: {
+    label: 'Views',
+    get: v => v.viewCount,
+    bands: [['lt10k', '< 10K', 0, 1e4], ['10k', '10K–100K', 1e4, 1e5], ['100k', '100K–1M', 1e5, 1e6], ['1m', '1M+', 1e6, Infinity]],
+  },
+  words: {
+    label: 'Words',
+    get: v => v.wordCount,
+    bands: [['lt2k', '< 2K', 0, 2000], ['2k', '2K–5K', 2000, 5000], ['5k', '5K–10K', 5000, 10000], ['10k', '10K+', 10000, Infinity]],
+  },
+  revenue: {
+    label: 'Revenue',
+    get: monthlyRevenue,
+    bands: [['lt1k', '< $1K/mo', 0, 1e3], ['1k', '$1K–10K/mo', 1e3, 1e4], ['10k', '$10K–100K/mo', 1e4, 1e5], ['100k', '$100K+/mo', 1e5, Infinity]],
+  },
+};
+
+// Facets over a fixed set of extracted values (see profile.js)
+const CHOICES = {
+  model: { label: 'Model', get: v => v.profile?.businessModel, labels: BUSINESS_MODELS },
+  funding: { label: 'Funding', get: v => v.profile?.funding, labels: FUNDING },
+};
+
+export const FACETS = ['year', ...Object.keys(BANDS), ...Object.keys(CHOICES)];
+
+export const FACET_LABELS = {
+  year: 'Year',
+  ...Object.fromEntries(Object.entries({ ...BANDS, ...CHOICES }).map(([name, f]) => [name, f.label])),
+};
+
+/**
+ * A video's value for a facet — its publication year, extracted value, or
+ * the key of the band its number falls in; null when the field is missing
+ */
+export function facetValue(name, video) {
+  if (name === 'year') {
+    const year = video.publishedAt ? new Date(video.publishedAt).getUTCFullYear() : NaN;
+    return Number.isNaN(year) ? null : String(year);
+  }
+  if (CHOICES[name]) return CHOICES[name].get(video) ?? null;
+  const facet = BANDS[name];
+  const n = facet?.get(video);
+  if (n == null) return null;
+  return facet.bands.find(([, , min, max]) => n >= min && n < max)?.[0] ?? null;
+}
+
+/**
+ * Whether a video passes the selected facet values ({ facet: [values] }) —
+ * any value within a facet, every facet with a selection. `except` skips
+ * one facet, for counting its own values.
+ */
+export function matchesFacets(video, selected, except = null) {
+  return Object.entries(selected || {}).every(([name, values]) =>
+    name === except || !values?.length || values.includes(facetValue(name, video)));
+}
+
+/**
+ * Value counts per facet: { facet: [{ value, label, count }] }. Each facet is
+ * counted over the videos passing the *other* facets' selections, so picking
+ * one value leaves its siblings' counts meaningful. Years run newest first;
+ * selected values stay listed even at zero.
+ */
+export function facetCounts(videos, selected = {}) {
+  const counts = {};
+  for (const name of FACETS) {
+    const tally = new Map();
+    for (const v of videos) {
+      if (!matchesFacets(v, selected, name)) continue;
+      const value = facetValue(name, v);
+      if (value != null) tally.set(value, (tally.get(value) || 0) + 1);
+    }
+    const values = name === 'year'
+      ? [...new Set([...tally.keys(), ...(selected[name] || [])])].sort().reverse().map(value => [value, value])
+      : CHOICES[name]
+        ? Object.entries(CHOICES[name].labels)
+        : BANDS[name].bands.map(([value, label]) => [value, label]);
+    counts[name] = values
+      .filter(([value]) => tally.has(value) || selected[name]?.includes(value))
+      .map(([value, label]) => ({ value, label, count: tally.get(value) || 0 }));
+  }
+  return counts;
 }
 
 /**
@@ -112,3 +832,31 @@ export function formatDate(dateStr) {
     return dateStr;
   }
 }
+
+// ─── Sources ────────────────────────────────────────────────────
+
+/**
+ * Which configured source a video was collected from — videos collected
+ * before sources existed are all Starter Story's
+ */
+export function videoSource(video) {
+  return video.source || 'starterstory';
+}
+
+/**
+ * Sources with their transcribed video counts: [{ id, label, url, count }],
+ * labelled from the collector's metadata
+ */
+export function corpusSources(database) {
+  const meta = new Map((database?.metadata?.sources || []).map(s => [s.id, s]));
+  const counts = new Map();
+  for (const v of database?.videos || []) {
+    if (v.transcriptAvailable) counts.set(videoSource(v), (counts.get(videoSource(v)) || 0) + 1);
+  }
+  return [...counts].map(([id, count]) => ({
+    id,
+    label: meta.get(id)?.label || (id === 'starterstory' ? 'Starter Story' : id),
+    url: meta.get(id)?.url || null,
+    count,
+  })).sort((a, b) => b.count - a.count);
+}
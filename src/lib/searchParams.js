@@ -0,0 +1,40 @@
+/**
+ * Search state in the page URL — ?q=&mode=&video=, or ?topic= when browsing
+ * a topic — so searches can be bookmarked, shared and walked through with
+ * back/forward
+ */
+
+export const MODES = ['ai', 'semantic', 'keyword', 'compare'];
+
+/**
+ * { q, mode, video, topic } from URLSearchParams or a Next.js searchParams object
+ */
+export function readSearchParams(params) {
+  const get = key => {
+    const value = typeof params?.get === 'function' ? params.get(key) : params?.[key];
+    return (Array.isArray(value) ? value[0] : value) || '';
+  };
+  const mode = get('mode');
+  return {
+    q: get('q').trim(),
+    mode: MODES.includes(mode) ? mode : 'ai',
+    video: get('video') || null,
+    topic: get('topic') || null,
+  };
+}
+
+/**
+ * Relative URL ("?q=...") for a search state — the bare path when empty
+ */
+export function searchHref({ q, mode, video, topic }, pathname = '/') {
+  const params = new URLSearchParams();
+  if (q) {
+    params.set('q', q);
+    params.set('mode', mode || 'ai');
+  } else if (topic) {
+    params.set('topic', topic);
+  }
+  if (video) params.set('video', video);
+  const search = params.toString();
+  return search ? `${pathname}?${search}` : pathname;
+}
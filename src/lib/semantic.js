@@ -0,0 +1,217 @@
+import { tokenize } from './search.js';
+
+// ─── Embedding providers ────────────────────────────────────────
+
+export const VECTORS_VERSION = 2;
+
+const DEFAULT_MODELS = {
+  openai: 'text-embedding-3-small',
+  local: 'nomic-embed-text',
+  hash: 'hash-v2',
+};
+
+/**
+ * Create an embedding provider: { name, model, dimensions, embed(texts) }.
+ * `embed` resolves to one L2-normalized number[] per input text.
+ *
+ * Vectors are never cut or padded — that breaks cosine similarity for
+ * models not trained for shorter vectors. `dimensions` is what OpenAI's
+ * text-embedding-3 models are asked to shorten to (default 256); a local
+ * model's own size is taken from its first answer unless given, and an
+ * answer of any other size is an error.
+ *
+ *   openai   OpenAI embeddings API (OPENAI_API_KEY)
+ *   local    any OpenAI-compatible /embeddings server — Ollama, llama.cpp,
+ *            LM Studio (EMBEDDINGS_BASE_URL, default Ollama on localhost)
+ *   hash     test/offline stub only: deterministic feature hashing, no
+ *            network. It matches shared words, not meaning, so semantic
+ *            search built on it is keyword search in disguise.
+ */
+export function createEmbedder(name, options = {}) {
+  const model = options.model || DEFAULT_MODELS[name];
+
+  if (name === 'hash') {
+    const dimensions = options.dimensions || 256;
+    return { name, model, dimensions, embed: async texts => texts.map(t => hashEmbed(t, dimensions)) };
+  }
+
+  if (name === 'openai' || name === 'local') {
+    const baseUrl = name === 'openai'
+      ? 'https://api.openai.com/v1'
+      : (options.baseUrl || 'http://localhost:11434/v1');
+    const apiKey = options.apiKey;
+    if (name === 'openai' && !apiKey) throw new Error('OPENAI_API_KEY is required for openai embeddings');
+
+    const embedder = {
+      name, model,
+      dimensions: options.dimensions || (name === 'openai' ? 256 : null),
+      async embed(texts) {
+        const { dimensions } = embedder;
+        const res = await fetch(`${baseUrl.replace(/\/$/, '')}/embeddings`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+          },
+          // Only OpenAI's text-embedding-3 models can shorten their output
+          body: JSON.stringify({ model, input: texts, ...(name === 'openai' ? { dimensions } : {}) }),
+        });
+        if (!res.ok) throw new Error(`Embeddings API ${res.status}: ${(await res.text()).slice(0, 200)}`);
+        const data = await res.json();
+        const vectors = data.data.sort((a, b) => a.index - b.index).map(d => d.embedding);
+        embedder.dimensions ??= vectors[0]?.length ?? null;
+        const wrong = vectors.find(vec => vec.length !== embedder.dimensions);
+        if (wrong) throw new Error(`${model} returned ${wrong.length}-dimension vectors, expected ${embedder.dimensions}`);
+        return vectors.map(normalize);
+      },
+    };
+    return embedder;
+  }
+
+  throw new Error(`Unknown embeddings provider: ${name}`);
+}
+
+/**
+ * Embedder settings from environment variables — null unless
+ * EMBEDDINGS_PROVIDER names one, which leaves semantic search off
+ */
+export function embedderFromEnv(env = process.env) {
+  if (!env.EMBEDDINGS_PROVIDER) return null;
+  return createEmbedder(env.EMBEDDINGS_PROVIDER, {
+    model: env.EMBEDDINGS_MODEL,
+    dimensions: env.EMBEDDINGS_DIMENSIONS ? parseInt(env.EMBEDDINGS_DIMENSIONS, 10) : undefined,
+    baseUrl: env.EMBEDDINGS_BASE_URL,
+    apiKey: env.EMBEDDINGS_PROVIDER === 'local' ? env.EMBEDDINGS_API_KEY : env.OPENAI_API_KEY,
+  });
+}
+
+function normalize(vec) {
+  let norm = 0;
+  for (const x of vec) norm += x * x;
+  norm = Math.sqrt(norm) || 1;
+  return Array.from(vec, x => x / norm);
+}
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// The hash stub: stemmed words and word pairs hashed onto the dimensions
+function hashEmbed(text, dimensions) {
+  const vec = new Array(dimensions).fill(0);
+  const terms = tokenize(text);
+  const add = (feature, weight) => {
+    const h = fnv1a(feature);
+    vec[h % dimensions] += (h & 0x80000000 ? -1 : 1) * weight;
+  };
+  for (let i = 0; i < terms.length; i++) {
+    add(terms[i], 1);
+    if (i + 1 < terms.length) add(terms[i] + ' ' + terms[i + 1], 0.5);
+  }
+  return normalize(vec);
+}
+
+// ─── Vector file ────────────────────────────────────────────────
+
+function toBase64(bytes) {
+  if (typeof Buffer !== 'undefined') return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+  let bin = '';
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin);
+}
+
+function fromBase64(str) {
+  if (typeof Buffer !== 'undefined') return new Uint8Array(Buffer.from(str, 'base64'));
+  const bin = atob(str);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Serialize passages and their (normalized) vectors. Vectors are quantized to
+ * int8 and base64-encoded, which keeps the file about 1/8 the size of JSON floats.
+ */
+export function encodeVectors(embedder, passages, vectors) {
+  const { dimensions } = embedder;
+  const data = new Int8Array(passages.length * dimensions);
+  vectors.forEach((vec, p) => {
+    for (let i = 0; i < dimensions; i++) {
+      data[p * dimensions + i] = Math.max(-127, Math.min(127, Math.round(vec[i] * 127)));
+    }
+  });
+  return {
+    version: VECTORS_VERSION,
+    provider: embedder.name,
+    model: embedder.model,
+    dimensions,
+    passages: passages.map(({ id, start, end, timestamp }) => ({ id, start, end, timestamp })),
+    vectors: toBase64(new Uint8Array(data.buffer)),
+  };
+}
+
+/**
+ * Parse a vector file written by encodeVectors()
+ */
+export function decodeVectors(file) {
+  const bytes = fromBase64(file.vectors);
+  return { ...file, data: new Int8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength) };
+}
+
+// ─── Retrieval ──────────────────────────────────────────────────
+
+/**
+ * Cosine similarity of a query vector against every passage. Returns
+ * [{ passage, score }] sorted by descending similarity.
+ */
+export function rankPassages(vectorIndex, queryVector, limit = 50) {
+  const { dimensions, data, passages } = vectorIndex;
+  if (queryVector.length !== dimensions) {
+    throw new Error(`Query vector has ${queryVector.length} dimensions, the vector index ${dimensions} — rerun the collector`);
+  }
+  const scored = passages.map((passage, p) => {
+    let dot = 0;
+    const base = p * dimensions;
+    for (let i = 0; i < dimensions; i++) dot += data[base + i] * queryVector[i];
+    return { passage, score: dot / 127 };
+  });
+  return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Rank videos by their best-matching passage. Returns
+ * [{ id, score, passage }] sorted by descending similarity.
+ */
+export function semanticSearch(vectorIndex, queryVector, minScore = 0.1) {
+  const best = new Map();
+  for (const hit of rankPassages(vectorIndex, queryVector, vectorIndex.passages.length)) {
+    if (hit.score < minScore) break;
+    if (!best.has(hit.passage.id)) best.set(hit.passage.id, { id: hit.passage.id, score: hit.score, passage: hit.passage });
+  }
+  return [...best.values()];
+}
+
+/**
+ * Blend keyword and semantic hits. Each side is scaled to 0..1 by its top
+ * score; `semanticWeight` sets the share of the semantic side.
+ */
+export function hybridMerge(keywordHits, semanticHits, semanticWeight = 0.5) {
+  const merged = new Map();
+  const maxKw = keywordHits[0]?.score || 1;
+  const maxSem = semanticHits[0]?.score || 1;
+
+  for (const hit of keywordHits) {
+    merged.set(hit.id, { ...hit, score: (1 - semanticWeight) * hit.score / maxKw });
+  }
+  for (const hit of semanticHits) {
+    const prev = merged.get(hit.id);
+    const s = semanticWeight * hit.score / maxSem;
+    merged.set(hit.id, prev ? { ...prev, passage: hit.passage, score: prev.score + s } : { ...hit, score: s });
+  }
+  return [...merged.values()].sort((a, b) => b.score - a.score);
+}
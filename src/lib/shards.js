@@ -0,0 +1,40 @@
+/**
+ * Corpus data layout in public/data, as written by the collector:
+ *
+ *   manifest.json             { version, metadata, videos } — metadata only,
+ *                             small enough to render the catalog right away
+ *   transcripts/<id>.json.gz  { id, transcript, segments } — one gzipped
+ *                             shard per transcribed video, loaded on demand
+ *   index.json, vectors.json  keyword and semantic indexes
+ */
+
+export const MANIFEST_VERSION = 1;
+
+export function shardPath(id) {
+  return `transcripts/${encodeURIComponent(id)}.json.gz`;
+}
+
+/**
+ * Split a full video record into its manifest entry and transcript shard
+ */
+export function splitVideo(video) {
+  const { transcript, segments, ...meta } = video;
+  return { meta, shard: { id: video.id, transcript: transcript || '', segments: segments || [] } };
+}
+
+/**
+ * Parse a shard's bytes. Hosts that serve .gz files with Content-Encoding
+ * hand us JSON already inflated, so only gunzip what still looks gzipped.
+ */
+export async function decodeShard(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes[0] !== 0x1f || bytes[1] !== 0x8b) return JSON.parse(new TextDecoder().decode(bytes));
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).json();
+}
+
+export async function fetchShard(id, baseUrl = '/data') {
+  const res = await fetch(`${baseUrl}/${shardPath(id)}`);
+  if (!res.ok) throw new Error(`Transcript ${id} not found (${res.status})`);
+  return decodeShard(await res.arrayBuffer());
+}
@@ -0,0 +1,68 @@
+/**
+ * Minimal Server-Sent Events helpers, shared by the streaming API routes and
+ * their clients. Every event carries a JSON payload.
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Encode one event as bytes ready for a ReadableStream
+ */
+export function encodeEvent(event, data) {
+  return encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Read an event-stream response, calling onEvent(event, data) for every
+ * event until the stream ends. Rejects with an AbortError if the request's
+ * signal fires.
+ */
+export async function readEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const chunk = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      let event = 'message', data = '';
+      for (const line of chunk.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+/**
+ * Parse an OpenAI-style streaming body (`data: {...}` lines ending with
+ * `data: [DONE]`) into its JSON chunks
+ */
+export async function* readDataLines(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line.startsWith('data:')) continue;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return;
+      yield JSON.parse(payload);
+    }
+  }
+}
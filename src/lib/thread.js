@@ -0,0 +1,102 @@
+import { watchUrl } from './search.js';
+
+/**
+ * AI conversation threads — [{ question, answer, citations }] — saved in
+ * localStorage and shared as a URL fragment (#thread=...)
+ */
+
+const STORAGE_KEY = 'founder-wisdom:thread';
+
+function toBase64Url(str) {
+  const bytes = new TextEncoder().encode(str);
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+  const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+}
+
+const int = value => Number.isInteger(value) ? value : null;
+
+// Drop anything that isn't a well-formed turn — shared links are untrusted.
+// Citation links are left out and rebuilt from the corpus (relinkThread).
+function sanitize(turns) {
+  if (!Array.isArray(turns)) return [];
+  return turns
+    .filter(t => typeof t?.question === 'string' && typeof t?.answer === 'string')
+    .map(({ question, answer, citations }) => ({
+      question,
+      answer,
+      citations: (Array.isArray(citations) ? citations : [])
+        .filter(c => typeof c?.ref === 'string' && typeof c.videoId === 'string')
+        .map(c => ({
+          ref: c.ref,
+          videoId: c.videoId,
+          title: typeof c.title === 'string' ? c.title : '',
+          timestamp: Number.isFinite(c.timestamp) ? c.timestamp : null,
+          // Passage offsets let follow-ups keep what was cited; the server checks them
+          start: int(c.start),
+          end: int(c.end),
+        })),
+    }));
+}
+
+/**
+ * A restored thread with its citations linked to the corpus videos they
+ * cite — citations of videos not in `videosById` are dropped
+ */
+export function relinkThread(turns, videosById) {
+  return turns.map(turn => ({
+    ...turn,
+    citations: turn.citations
+      .filter(c => videosById.has(c.videoId))
+      .map(c => {
+        const video = videosById.get(c.videoId);
+        return { ...c, title: video.title, url: watchUrl(video.url, c.timestamp) };
+      }),
+  }));
+}
+
+export function encodeThread(turns) {
+  return toBase64Url(JSON.stringify(sanitize(turns)));
+}
+
+export function decodeThread(str) {
+  try {
+    return sanitize(JSON.parse(fromBase64Url(str)));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Link that reopens a thread on the current page
+ */
+export function threadUrl(turns) {
+  return `${window.location.origin}${window.location.pathname}#thread=${encodeThread(turns)}`;
+}
+
+/**
+ * Thread from the current URL fragment, if any
+ */
+export function threadFromLocation() {
+  const m = window.location.hash.match(/^#thread=(.+)$/);
+  return m ? decodeThread(m[1]) : [];
+}
+
+export function saveThread(turns) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sanitize(turns)));
+  } catch {}
+}
+
+export function loadSavedThread() {
+  try {
+    return sanitize(JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]'));
+  } catch {
+    return [];
+  }
+}
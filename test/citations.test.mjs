@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveCitation, extractCitations, stripCitations, splitCitations } from '../src/lib/citations.js';
+
+const SOURCES = [
+  {
+    id: 'vid1', title: 'Cold email', url: 'https://youtu.be/vid1',
+    passages: [{ start: 0, end: 120, timestamp: 0 }, { start: 120, end: 260, timestamp: 95.4 }],
+  },
+  {
+    id: 'vid2', title: 'Paid ads', url: 'https://youtu.be/vid2',
+    passages: [{ start: 40, end: 200, timestamp: 30 }],
+  },
+];
+
+// ─── resolveCitation ────────────────────────────────────────────
+
+test('resolveCitation: a passage the model was sent', () => {
+  assert.deepEqual(resolveCitation(SOURCES, 1, 2), {
+    ref: '1.2', interview: 1, passage: 2, videoId: 'vid1', title: 'Cold email',
+    url: 'https://youtu.be/vid1?t=95s', timestamp: 95.4, start: 120, end: 260,
+  });
+});
+
+test('resolveCitation: a whole interview points at its first passage', () => {
+  const citation = resolveCitation(SOURCES, 2, null);
+  assert.equal(citation.ref, '2');
+  assert.equal(citation.passage, null);
+  assert.equal(citation.start, 40);
+  assert.equal(citation.url, 'https://youtu.be/vid2?t=30s');
+});
+
+test('resolveCitation: refs outside the sources are null', () => {
+  for (const [n, m] of [[0, null], [3, null], [1, 3], [2, 2], [-1, 1]]) {
+    assert.equal(resolveCitation(SOURCES, n, m), null, `${n}.${m}`);
+  }
+});
+
+// ─── extractCitations ───────────────────────────────────────────
+
+test('extractCitations: lists valid citations once, in order of appearance', () => {
+  const { answer, citations } = extractCitations('Email works [1.2]. Ads too [2.1]. Again [1.2].', SOURCES);
+  assert.equal(answer, 'Email works [1.2]. Ads too [2.1]. Again [1.2].');
+  assert.deepEqual(citations.map(c => c.ref), ['1.2', '2.1']);
+});
+
+test('extractCitations: removes citations the model made up', () => {
+  const { answer, citations } = extractCitations('Real [1.1]. Invented [7.2]. Past the end [2.5].', SOURCES);
+  assert.equal(answer, 'Real [1.1]. Invented. Past the end.');
+  assert.deepEqual(citations.map(c => c.ref), ['1.1']);
+});
+
+test('extractCitations: splits grouped refs and normalizes [Interview N]', () => {
+  const { answer, citations } = extractCitations('Both agree [1.1, 2.1, 9.9]. See [Interview 2].', SOURCES);
+  assert.equal(answer, 'Both agree [1.1][2.1]. See [2].');
+  assert.deepEqual(citations.map(c => c.ref), ['1.1', '2.1', '2']);
+});
+
+test('extractCitations: nothing is cited when there are no sources', () => {
+  const { answer, citations } = extractCitations('Claim [1.1].', []);
+  assert.equal(answer, 'Claim.');
+  assert.deepEqual(citations, []);
+});
+
+// ─── Rendering ──────────────────────────────────────────────────
+
+test('stripCitations: drops the markers and the space before them', () => {
+  assert.equal(stripCitations('Email works [1.2]. Ads [2] too [1.1][2.1].'), 'Email works. Ads too.');
+});
+
+test('splitCitations: text and ref parts', () => {
+  assert.deepEqual(splitCitations('Email [1.2] and ads [2].'), [
+    { text: 'Email ' }, { ref: '1.2' }, { text: ' and ads ' }, { ref: '2' }, { text: '.' },
+  ]);
+  assert.deepEqual(splitCitations('No refs'), [{ text: 'No refs' }]);
+});
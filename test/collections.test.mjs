@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCollections } from '../src/lib/collections.js';
+
+const items = list => parseCollections(JSON.stringify({ name: 'Imported', items: list }))[0].items;
+
+test('parseCollections: keeps only YouTube links', () => {
+  const [interview, answer] = items([
+    { id: '1', kind: 'interview', videoId: 'abc', url: 'javascript:alert(1)' },
+    { id: '2', kind: 'answer', question: 'q', answer: 'a', citations: [
+      { ref: '1.1', url: 'https://www.youtube.com/watch?v=abc&t=5s' },
+      { ref: '1.2', url: 'https://www.youtube.com.evil.test/watch' },
+    ] },
+  ]);
+  assert.equal(interview.url, '');
+  assert.deepEqual(answer.citations.map(c => c.url), ['https://www.youtube.com/watch?v=abc&t=5s', '']);
+});
+
+test('parseCollections: keeps only links within the site', () => {
+  const searches = items([
+    { id: '1', kind: 'search', href: '/?q=pricing&mode=keyword' },
+    { id: '2', kind: 'search', href: '?q=saas' },
+    { id: '3', kind: 'search', q: 'cold email', mode: 'ai', href: '//evil.test/' },
+    { id: '4', kind: 'search', href: 'javascript:alert(1)' },
+    { id: '5', kind: 'search', href: '/\\evil.test' },
+  ]);
+  assert.deepEqual(searches.map(s => s.href), ['/?q=pricing&mode=keyword', '?q=saas', '/?q=cold+email&mode=ai']);
+});
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseComparison, buildSources } from '../src/lib/prompts.js';
+import { LLMError } from '../src/lib/llm.js';
+
+const GROUPS = [
+  {
+    video: { id: 'cold', title: 'Cold email to $20k MRR', url: 'https://youtu.be/cold' },
+    passages: [
+      { id: 'cold', start: 0, end: 60, timestamp: 0, text: 'We never ran ads.' },
+      { id: 'cold', start: 60, end: 140, timestamp: 75, text: 'Cold email — 50 a day, every day — found our first customers.' },
+    ],
+  },
+  {
+    video: { id: 'ads', title: 'Paid ads for an online store', url: 'https://youtu.be/ads' },
+    passages: [{ id: 'ads', start: 10, end: 90, timestamp: 20, text: 'Facebook ads paid for themselves within a week.' }],
+  },
+  {
+    video: { id: 'seo', title: 'SEO for a newsletter', url: 'https://youtu.be/seo' },
+    passages: [{ id: 'seo', start: 0, end: 50, timestamp: 0, text: 'Search traffic compounds.' }],
+  },
+];
+const SOURCES = buildSources(GROUPS);
+
+const parse = data => parseComparison(typeof data === 'string' ? data : JSON.stringify(data), GROUPS, SOURCES);
+
+test('parseComparison: positions resolved against the interviews sent', () => {
+  const { summary, positions } = parse({
+    summary: 'Outbound versus paid.',
+    positions: [
+      { interview: 1, founder: 'Pat', stance: 'Outbound first', position: 'Email beats ads early.', quote: 'cold email - 50 a day, every day', cite: '1.2' },
+      { interview: '2', stance: 'Paid', position: 'Ads work.', quote: 'ads paid for themselves', cite: '2.1' },
+    ],
+  });
+  assert.equal(summary, 'Outbound versus paid.');
+  assert.deepEqual(positions.map(p => [p.interview, p.videoId, p.founder, p.verified, p.citation.ref]), [
+    [1, 'cold', 'Pat', true, '1.2'],
+    [2, 'ads', GROUPS[1].video.title, true, '2.1'],
+  ]);
+  assert.equal(positions[0].citation.url, 'https://youtu.be/cold?t=75s');
+});
+
+test('parseComparison: unverified quotes and citations of other interviews', () => {
+  const { positions } = parse({
+    positions: [
+      { interview: 1, quote: 'We spent a fortune on ads.', cite: '1.9' },
+      { interview: 2, quote: '', cite: '1.2' },
+      { interview: 3, quote: 'Search traffic compounds.', cite: 'see 3' },
+    ],
+  });
+  // A passage the model never saw is no citation; a ref to another interview is ignored
+  assert.deepEqual(positions.map(p => [p.verified, p.citation?.ref ?? null]), [[false, null], [false, '2'], [true, '3']]);
+});
+
+test('parseComparison: drops positions for unknown or repeated interviews', () => {
+  const { positions } = parse({
+    positions: [null, { interview: 0 }, { interview: 4 }, { interview: 'two' }, { interview: 2, stance: 'first' }, { interview: 2, stance: 'again' }],
+  });
+  assert.deepEqual(positions.map(p => [p.interview, p.stance]), [[2, 'first']]);
+});
+
+test('parseComparison: clusters keep only interviews with a position', () => {
+  const { clusters } = parse({
+    positions: [{ interview: 1 }, { interview: 3 }],
+    clusters: [
+      { label: 'Compounding channels', summary: 'Slow but lasting.', interviews: [1, '3', 3, 2, 9] },
+      { label: 'Paid', interviews: [2] },
+      { label: '', interviews: [1] },
+      'nonsense',
+    ],
+  });
+  assert.deepEqual(clusters, [{ label: 'Compounding channels', summary: 'Slow but lasting.', interviews: [1, 3] }]);
+});
+
+test('parseComparison: finds the JSON in surrounding prose, truncates long fields', () => {
+  const { summary, positions } = parse(`Here you go:\n\`\`\`json\n${JSON.stringify({ summary: 'x'.repeat(1000), positions: [{ interview: 1, stance: 's'.repeat(200) }] })}\n\`\`\``);
+  assert.equal(summary.length, 600);
+  assert.equal(positions[0].stance.length, 80);
+  assert.deepEqual(parse('{}'), { summary: '', positions: [], clusters: [] });
+});
+
+test('parseComparison: no usable JSON is an LLMError', () => {
+  for (const text of ['I cannot compare these.', '{ "summary": ', '']) {
+    assert.throws(() => parse(text), LLMError, text);
+  }
+});
@@ -0,0 +1,18 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArgs } from '../scripts/export.mjs';
+
+test('parseArgs: positional arguments, flags and booleans', () => {
+  const { positional, flags } = parseArgs(['results', 'cold', 'email', '--sort', 'newest', '--format=json', '--json'], ['json']);
+  assert.deepEqual(positional, ['results', 'cold', 'email']);
+  assert.deepEqual(flags, { sort: 'newest', format: 'json', json: true });
+});
+
+test('parseArgs: a flag without its value is an error', () => {
+  assert.throws(() => parseArgs(['results', 'saas', '--out']), { message: 'Missing value for --out' });
+  assert.throws(() => parseArgs(['results', 'saas', '--source', '--json'], ['json']), { message: 'Missing value for --source' });
+});
+
+test('parseArgs: an explicitly empty value is kept', () => {
+  assert.deepEqual(parseArgs(['--source=']).flags, { source: '' });
+});
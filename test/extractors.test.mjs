@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createExtractor } from '../scripts/extractors.mjs';
+
+const extract = description => createExtractor('rules').extract({ title: '', description, transcript: '' });
+
+test('rules: founder and company from "<name>, founder of <company>"', async () => {
+  const profile = await extract('Jane Doe, co-founder of Widgetly, on growing to $20k/month.');
+  assert.equal(profile.founder, 'Jane Doe');
+  assert.equal(profile.company, 'Widgetly');
+  assert.equal(profile.mrr, 20000);
+});
+
+test('rules: words opening the sentence are not part of the name', async () => {
+  for (const lead of ['Meet', 'Interview', 'Today', 'Introducing']) {
+    const profile = await extract(`${lead} John Smith, founder of Acme Labs.`);
+    assert.equal(profile.founder, 'John Smith', lead);
+    assert.equal(profile.company, 'Acme Labs', lead);
+  }
+});
+
+test('rules: no founder without a full name', async () => {
+  const profile = await extract('The founder of Acme Labs explains how it started.');
+  assert.equal(profile.founder, null);
+});
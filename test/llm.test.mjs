@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLLM, llmFromEnv, complete, LLMError } from '../src/lib/llm.js';
+
+const PROMPT = [
+  { role: 'system', content: 'Answer from the transcripts.' },
+  { role: 'user', content: 'Question: how do I find customers?\n\n[1] Cold email\n(1.1) [2:05] We sent a hundred emails a day.\n(1.2) Nobody answered at first.' },
+];
+
+test('createLLM: default models per provider', () => {
+  assert.equal(createLLM('openai', { apiKey: 'sk' }).model, 'gpt-4o');
+  assert.equal(createLLM('anthropic', { apiKey: 'sk' }).model, 'claude-3-5-sonnet-latest');
+  assert.equal(createLLM('local').model, 'llama3.1');
+  assert.equal(createLLM('mock', { model: 'other' }).model, 'other');
+});
+
+test('createLLM: hosted providers need an API key', () => {
+  assert.throws(() => createLLM('openai'), { name: 'LLMError', message: /OPENAI_API_KEY/ });
+  assert.throws(() => createLLM('anthropic'), { name: 'LLMError', message: /ANTHROPIC_API_KEY/ });
+});
+
+test('createLLM: unknown providers are an LLMError', () => {
+  assert.throws(() => createLLM('gemini'), err => err instanceof LLMError && err.message === 'Unknown LLM provider: gemini');
+  assert.throws(() => llmFromEnv({ LLM_PROVIDER: 'gemini' }), LLMError);
+});
+
+test('llmFromEnv: picks the provider and its own key', () => {
+  assert.equal(llmFromEnv({ OPENAI_API_KEY: 'sk' }).name, 'openai');
+  assert.throws(() => llmFromEnv({ LLM_PROVIDER: 'anthropic', OPENAI_API_KEY: 'sk' }), /ANTHROPIC_API_KEY/);
+  assert.equal(llmFromEnv({ LLM_PROVIDER: 'anthropic', ANTHROPIC_API_KEY: 'sk' }).name, 'anthropic');
+  const local = llmFromEnv({ LLM_PROVIDER: 'local', LLM_MODEL: 'qwen2.5' });
+  assert.deepEqual([local.name, local.model], ['local', 'qwen2.5']);
+});
+
+test('llmFromEnv: sends the configured model, max tokens and temperature', async t => {
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    requests.push({ url, body: JSON.parse(init.body), headers: init.headers });
+    const events = ['Hello', ' there'].map(content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+    return new Response(events.join('') + 'data: [DONE]\n\n', { headers: { 'Content-Type': 'text/event-stream' } });
+  });
+  const llm = llmFromEnv({ LLM_PROVIDER: 'local', LLM_BASE_URL: 'http://llm.test/v1/', LLM_MAX_TOKENS: '2500', LLM_TEMPERATURE: '0.2' });
+  assert.equal(await complete(llm, PROMPT), 'Hello there');
+  assert.equal(requests[0].url, 'http://llm.test/v1/chat/completions');
+  assert.equal(requests[0].body.max_tokens, 2500);
+  assert.equal(requests[0].body.temperature, 0.2);
+  assert.equal(requests[0].body.stream, true);
+  assert.equal(requests[0].headers.Authorization, undefined);
+});
+
+test('stream: a failed request rejects with the status', async t => {
+  t.mock.method(globalThis, 'fetch', async () => new Response('rate limited', { status: 429 }));
+  const llm = createLLM('openai', { apiKey: 'sk' });
+  await assert.rejects(llm.stream(PROMPT), { name: 'LLMError', status: 429, message: 'LLM API 429: rate limited' });
+});
+
+test('mock: streams a cited answer in chunks', async () => {
+  const llm = llmFromEnv({ LLM_PROVIDER: 'mock' });
+  const chunks = [];
+  for await (const chunk of await llm.stream(PROMPT)) chunks.push(chunk);
+  assert.ok(chunks.length > 1);
+  const answer = chunks.join('');
+  assert.match(answer, /"We sent a hundred emails a day\.\.\.\." \[1\.1\]/);
+  assert.match(answer, /\[1\.2\]/);
+});
+
+test('mock: says so when there are no passages', async () => {
+  const answer = await complete(createLLM('mock'), [{ role: 'user', content: 'Question: anything?' }]);
+  assert.match(answer, /don't cover this question/);
+});
@@ -0,0 +1,237 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, searchIndex, buildIndex, tokenize, scanWords, sortHits, highlightSpans, facetValue, matchesFacets, facetCounts } from '../src/lib/search.js';
+
+const VIDEOS = [
+  {
+    id: 'cold', title: 'Cold email to $20k MRR', description: 'A bootstrapped SaaS.', publishedAt: '2024-03-01T00:00:00Z',
+    viewCount: 120000, durationSeconds: 1500, wordCount: 40,
+    transcript: 'We sent cold email every day and never ran ads. Cold outreach found our first customers.',
+    profile: { mrr: 20000, businessModel: 'saas', funding: 'bootstrapped' },
+  },
+  {
+    id: 'ads', title: 'Paid ads for an online store', description: 'Shopify brand.', publishedAt: '2022-06-01T00:00:00Z',
+    viewCount: 5000, durationSeconds: 600, wordCount: 30,
+    transcript: 'Facebook ads and an email list. The email list went cold at first, then we warmed it up.',
+    profile: { mrr: 4000, businessModel: 'ecommerce', funding: 'bootstrapped' },
+  },
+  {
+    id: 'seo', title: 'SEO for a newsletter', description: '', publishedAt: '2023-09-01T00:00:00Z', source: 'mfm',
+    viewCount: 30000, durationSeconds: 3600, wordCount: 25,
+    transcript: 'Search traffic and a weekly newsletter. We raised a seed round later.',
+    profile: { arr: 600000, businessModel: 'content', funding: 'funded' },
+  },
+];
+const INDEX = buildIndex(VIDEOS);
+const BY_ID = new Map(VIDEOS.map(v => [v.id, v]));
+const ids = query => searchIndex(INDEX, query, BY_ID).map(hit => hit.id).sort();
+
+// ─── Tokenizing ─────────────────────────────────────────────────
+
+test('tokenize: every way of writing an amount is one money term', () => {
+  for (const amount of ['$10k', '$10K', '$10,000', '$ 10000', '$10k/mo', '10,000 dollars', '10 thousand dollars', '10k bucks', '10 grand']) {
+    assert.deepEqual(tokenize(amount), ['$10000'], amount);
+  }
+  assert.deepEqual(tokenize('$1.5m'), ['$1500000']);
+  assert.deepEqual(tokenize('$2 million a year'), ['$2000000', 'year']);
+});
+
+test('tokenize: percentages and numbers', () => {
+  assert.deepEqual(tokenize('20%'), ['20%']);
+  assert.deepEqual(tokenize('20 percent'), ['20%']);
+  assert.deepEqual(tokenize('1,000,000 users'), ['1000000', 'user']);
+  assert.deepEqual(tokenize('3.5 stars'), ['3.5', 'star']);
+});
+
+test('tokenize: symbols and punctuation', () => {
+  assert.deepEqual(tokenize('c++ and c#'), ['c++', 'c#']);
+  assert.deepEqual(tokenize('(saas)'), tokenize('SaaS'));
+  assert.deepEqual(tokenize('SaaS.'), tokenize('saas'));
+  assert.deepEqual(tokenize('founder’s story'), tokenize("founder's story"));
+});
+
+test('tokenize: stems plurals and verb forms, drops stopwords', () => {
+  assert.deepEqual(tokenize('customers'), tokenize('customer'));
+  assert.deepEqual(tokenize('pricing'), tokenize('priced'));
+  assert.deepEqual(tokenize('the and of a'), []);
+});
+
+test('scanWords: an amount keeps the offsets of all its words', () => {
+  const text = 'made 10 thousand dollars';
+  const [, amount] = scanWords(text);
+  assert.equal(text.slice(amount.start, amount.end), '10 thousand dollars');
+  assert.equal(amount.term, '$10000');
+});
+
+test('searchIndex: a query amount finds the same amount written differently', () => {
+  const videos = [{ id: 'a', title: '', description: '', transcript: 'We hit 10 thousand dollars a month' }];
+  const index = buildIndex(videos);
+  for (const query of ['$10k', '"$10,000/mo"', '10k bucks']) {
+    assert.deepEqual(searchIndex(index, query, new Map(videos.map(v => [v.id, v]))).map(h => h.id), ['a'], query);
+  }
+});
+
+// ─── parseQuery ─────────────────────────────────────────────────
+
+test('parseQuery: plain words are optional, signs require and exclude', () => {
+  const parsed = parseQuery('pricing +churn -ads');
+  assert.deepEqual(parsed.should.map(i => i.terms), [tokenize('pricing')]);
+  assert.deepEqual(parsed.must.map(group => group.map(i => i.terms)), [[tokenize('churn')]]);
+  assert.deepEqual(parsed.not.map(i => i.terms), [tokenize('ads')]);
+});
+
+test('parseQuery: quotes make a phrase', () => {
+  const [item] = parseQuery('"cold email"').should;
+  assert.equal(item.type, 'phrase');
+  assert.deepEqual(item.terms, ['cold', 'email']);
+});
+
+test('parseQuery: OR joins its neighbours into one required group', () => {
+  const parsed = parseQuery('seo OR ads newsletter');
+  assert.deepEqual(parsed.must.map(group => group.map(i => i.text)), [['seo', 'ads']]);
+  assert.deepEqual(parsed.should.map(i => i.text), ['newsletter']);
+});
+
+test('parseQuery: field prefixes scope text', () => {
+  const [item] = parseQuery('title:"cold email"').should;
+  assert.equal(item.field, 'title');
+  assert.equal(parseQuery('desc:shopify').should[0].field, 'description');
+  // Unknown prefixes are just text
+  assert.deepEqual(parseQuery('http:example').should[0].terms, tokenize('http example'));
+});
+
+test('parseQuery: numeric filters with comparison operators and ranges', () => {
+  assert.deepEqual(parseQuery('year:2024').filters, [{ field: 'year', op: '=', value: 2024 }]);
+  assert.deepEqual(parseQuery('year:>=2023').filters, [{ field: 'year', op: '>=', value: 2023 }]);
+  assert.deepEqual(parseQuery('views:<100k').filters, [{ field: 'views', op: '<', value: 100000 }]);
+  assert.deepEqual(parseQuery('mrr:>$10k').filters, [{ field: 'mrr', op: '>', value: 10000 }]);
+  assert.deepEqual(parseQuery('duration:20m..1h').filters, [{ field: 'duration', op: '..', value: [1200, 3600] }]);
+  assert.deepEqual(parseQuery('model:SaaS funding:bootstrapped').filters, [
+    { field: 'model', op: '=', value: 'saas' },
+    { field: 'funding', op: '=', value: 'bootstrapped' },
+  ]);
+});
+
+test('parseQuery: unparseable filter values are dropped', () => {
+  const parsed = parseQuery('year:soon model:spaceship');
+  assert.deepEqual(parsed.filters, []);
+  assert.deepEqual(parsed.should, []);
+});
+
+// ─── searchIndex ────────────────────────────────────────────────
+
+test('searchIndex: any optional term matches, best first', () => {
+  const hits = searchIndex(INDEX, 'cold newsletter', BY_ID);
+  assert.deepEqual(hits.map(h => h.id).sort(), ['ads', 'cold', 'seo']);
+  // In the title and said twice beats said once
+  assert.deepEqual(searchIndex(INDEX, 'cold', BY_ID).map(h => h.id), ['cold', 'ads']);
+});
+
+test('searchIndex: phrases keep their word order', () => {
+  // "ads" has both words, but as "email list went cold"
+  assert.deepEqual(ids('"cold email"'), ['cold']);
+  assert.deepEqual(ids('"email cold"'), []);
+});
+
+test('searchIndex: required and excluded terms', () => {
+  assert.deepEqual(ids('email +facebook'), ['ads']);
+  assert.deepEqual(ids('email +ads'), ['ads', 'cold']);
+  // "cold" says it never ran ads
+  assert.deepEqual(ids('email -ads'), []);
+  assert.deepEqual(ids('email -facebook'), ['cold']);
+  assert.deepEqual(ids('email -"paid ads"'), ['cold']);
+});
+
+test('searchIndex: OR groups need one of their alternatives', () => {
+  assert.deepEqual(ids('seo OR shopify'), ['ads', 'seo']);
+  assert.deepEqual(ids('seo OR shopify +newsletter'), ['seo']);
+});
+
+test('searchIndex: field-scoped terms only match that field', () => {
+  assert.deepEqual(ids('title:newsletter'), ['seo']);
+  assert.deepEqual(ids('title:customers'), []);
+});
+
+test('searchIndex: filters narrow the matches, and work on their own', () => {
+  assert.deepEqual(ids('email year:>=2023'), ['cold']);
+  assert.deepEqual(ids('mrr:>10k'), ['cold', 'seo']);
+  assert.deepEqual(ids('views:10k..50k'), ['seo']);
+  assert.deepEqual(ids('duration:<15m'), ['ads']);
+  assert.deepEqual(ids('model:ecommerce funding:bootstrapped'), ['ads']);
+});
+
+test('searchIndex: source filters, by source id', () => {
+  assert.deepEqual(parseQuery('source:MFM').filters, [{ field: 'source', op: '=', value: 'mfm' }]);
+  assert.deepEqual(ids('email OR newsletter source:mfm'), ['seo']);
+  // Videos collected before sources existed are Starter Story's
+  assert.deepEqual(ids('email OR newsletter channel:starterstory'), ['ads', 'cold']);
+  assert.deepEqual(ids('email source:nowhere'), []);
+});
+
+test('searchIndex: a phrase with an exclusion and a filter', () => {
+  assert.deepEqual(ids('"cold email" -facebook mrr:>=$20k'), ['cold']);
+  assert.deepEqual(ids('"cold email" -ads mrr:>=$20k'), []);
+  assert.deepEqual(ids('"cold email" mrr:<10k'), []);
+});
+
+// ─── Sorting and highlights ─────────────────────────────────────
+
+test('sortHits: metadata orders, ties keep the ranking', () => {
+  const hits = [{ id: 'seo', score: 3 }, { id: 'ads', score: 2 }, { id: 'cold', score: 1 }];
+  const order = sort => sortHits(hits, BY_ID, sort).map(hit => hit.id);
+  assert.deepEqual(order('relevance'), ['seo', 'ads', 'cold']);
+  assert.deepEqual(order('newest'), ['cold', 'seo', 'ads']);
+  assert.deepEqual(order('oldest'), ['ads', 'seo', 'cold']);
+  assert.deepEqual(order('views'), ['cold', 'seo', 'ads']);
+  assert.deepEqual(order('longest'), ['seo', 'cold', 'ads']);
+  assert.deepEqual(order('unknown'), ['seo', 'ads', 'cold']);
+
+  const undated = new Map([['a', {}], ['b', {}]]);
+  assert.deepEqual(sortHits([{ id: 'b' }, { id: 'a' }], undated, 'newest').map(hit => hit.id), ['b', 'a']);
+});
+
+test('highlightSpans: positive terms and phrases, in order, never overlapping', () => {
+  const text = 'Cold email beat ads. We sent cold email daily.';
+  const spans = highlightSpans(text, parseQuery('"cold email" email -ads'));
+  assert.deepEqual(spans.map(([start, end]) => text.slice(start, end)), ['Cold email', 'cold email']);
+  assert.deepEqual(highlightSpans(text, parseQuery('title:ads')), []);
+  assert.deepEqual(highlightSpans(text, parseQuery('title:ads'), 'title').map(([start, end]) => text.slice(start, end)), ['ads']);
+  assert.deepEqual(highlightSpans('', parseQuery('email')), []);
+});
+
+// ─── Facets ─────────────────────────────────────────────────────
+
+test('facetValue: years, bands and extracted choices', () => {
+  const [cold, ads, seo] = VIDEOS;
+  assert.deepEqual([cold, ads, seo].map(v => facetValue('year', v)), ['2024', '2022', '2023']);
+  assert.deepEqual([cold, ads, seo].map(v => facetValue('duration', v)), ['medium', 'short', 'marathon']);
+  // ARR counts as monthly revenue
+  assert.deepEqual([cold, ads, seo].map(v => facetValue('revenue', v)), ['10k', '1k', '10k']);
+  assert.deepEqual([cold, ads, seo].map(v => facetValue('model', v)), ['saas', 'ecommerce', 'content']);
+  assert.equal(facetValue('year', {}), null);
+  assert.equal(facetValue('revenue', { profile: {} }), null);
+});
+
+test('matchesFacets: any value within a facet, every selected facet', () => {
+  const [cold, ads] = VIDEOS;
+  assert.equal(matchesFacets(cold, { model: ['saas', 'ecommerce'], funding: ['bootstrapped'] }), true);
+  assert.equal(matchesFacets(ads, { model: ['saas'], funding: ['bootstrapped'] }), false);
+  assert.equal(matchesFacets(ads, { model: ['saas'], funding: ['bootstrapped'] }, 'model'), true);
+  assert.equal(matchesFacets(ads, { model: [] }), true);
+});
+
+test('facetCounts: each facet counted over the other facets\' selections', () => {
+  const counts = facetCounts(VIDEOS, { model: ['saas'] });
+  assert.deepEqual(counts.model, [
+    { value: 'saas', label: 'SaaS', count: 1 },
+    { value: 'ecommerce', label: 'E-commerce', count: 1 },
+    { value: 'content', label: 'Content & media', count: 1 },
+  ]);
+  assert.deepEqual(counts.year, [{ value: '2024', label: '2024', count: 1 }]);
+  assert.deepEqual(counts.revenue, [{ value: '10k', label: '$10K–100K/mo', count: 1 }]);
+
+  assert.deepEqual(facetCounts(VIDEOS).year.map(y => y.value), ['2024', '2023', '2022']);
+  const none = facetCounts(VIDEOS, { year: ['2019'] });
+  assert.deepEqual(none.year.find(y => y.value === '2019'), { value: '2019', label: '2019', count: 0 });
+  assert.deepEqual(none.model, []);
+});
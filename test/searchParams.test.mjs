@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readSearchParams, searchHref, MODES } from '../src/lib/searchParams.js';
+
+const read = href => readSearchParams(new URL(href, 'https://example.com').searchParams);
+
+test('readSearchParams: URLSearchParams or a Next.js searchParams object', () => {
+  const state = { q: 'cold email', mode: 'keyword', video: 'abc', topic: null };
+  assert.deepEqual(readSearchParams(new URLSearchParams('q=+cold+email+&mode=keyword&video=abc')), state);
+  assert.deepEqual(readSearchParams({ q: ['cold email', 'ignored'], mode: 'keyword', video: 'abc' }), state);
+});
+
+test('readSearchParams: defaults for missing or unknown values', () => {
+  assert.deepEqual(readSearchParams(undefined), { q: '', mode: 'ai', video: null, topic: null });
+  assert.deepEqual(readSearchParams(new URLSearchParams('mode=admin&video=&topic=')), { q: '', mode: 'ai', video: null, topic: null });
+});
+
+test('searchHref: round-trips through readSearchParams', () => {
+  const states = [
+    ...MODES.map(mode => ({ q: 'pricing & "cold email" +$10k/mo #1', mode, video: null, topic: null })),
+    { q: 'seo', mode: 'ai', video: 'a/b?c', topic: null },
+    { q: '', mode: 'ai', video: null, topic: 'marketing & growth' },
+    { q: '', mode: 'ai', video: 'xyz', topic: null },
+  ];
+  for (const state of states) assert.deepEqual(read(searchHref(state)), state, searchHref(state));
+});
+
+test('searchHref: a query wins over a topic, empty state is the bare path', () => {
+  assert.equal(searchHref({ q: 'seo', topic: 'growth' }), '/?q=seo&mode=ai');
+  assert.equal(searchHref({ q: '', topic: 'growth', video: 'v1' }, '/browse'), '/browse?topic=growth&video=v1');
+  assert.equal(searchHref({ q: '' }, '/browse'), '/browse');
+});
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createEmbedder, embedderFromEnv, encodeVectors, decodeVectors, rankPassages, semanticSearch, hybridMerge } from '../src/lib/semantic.js';
+
+const PASSAGES = [
+  { id: 'x', start: 0, end: 100, timestamp: 0, text: 'dropped from the file' },
+  { id: 'x', start: 100, end: 200, timestamp: 42 },
+  { id: 'y', start: 0, end: 80, timestamp: 5 },
+];
+const VECTORS = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0]];
+const EMBEDDER = { name: 'test', model: 'unit', dimensions: 4 };
+
+const embeddingsResponse = vectors => new Response(JSON.stringify({
+  data: vectors.map((embedding, index) => ({ index, embedding })).reverse(),
+}));
+
+// ─── Embedders ──────────────────────────────────────────────────
+
+test('embedderFromEnv: semantic search is off without EMBEDDINGS_PROVIDER', () => {
+  assert.equal(embedderFromEnv({ OPENAI_API_KEY: 'sk-test' }), null);
+  const embedder = embedderFromEnv({ EMBEDDINGS_PROVIDER: 'local', EMBEDDINGS_MODEL: 'bge-m3' });
+  assert.equal(embedder.name, 'local');
+  assert.equal(embedder.model, 'bge-m3');
+  assert.equal(embedder.dimensions, null);
+  assert.throws(() => embedderFromEnv({ EMBEDDINGS_PROVIDER: 'openai' }), /OPENAI_API_KEY/);
+  assert.throws(() => embedderFromEnv({ EMBEDDINGS_PROVIDER: 'magic' }), /Unknown embeddings provider/);
+});
+
+test('local embedder: keeps the model\'s own size and refuses any other', async t => {
+  t.mock.method(globalThis, 'fetch', async () => embeddingsResponse([[3, 4, 0], [0, 0, 2]]));
+  const embedder = createEmbedder('local', { model: 'tiny' });
+  assert.deepEqual(await embedder.embed(['a', 'b']), [[0.6, 0.8, 0], [0, 0, 1]]);
+  assert.equal(embedder.dimensions, 3);
+
+  t.mock.method(globalThis, 'fetch', async () => embeddingsResponse([[1, 0]]));
+  await assert.rejects(embedder.embed(['c']), /tiny returned 2-dimension vectors, expected 3/);
+});
+
+test('openai embedder: asks for the configured size', async t => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => embeddingsResponse([new Array(64).fill(1)]));
+  const embedder = createEmbedder('openai', { apiKey: 'sk-test', dimensions: 64 });
+  const [vec] = await embedder.embed(['a']);
+  assert.equal(vec.length, 64);
+  assert.equal(JSON.parse(fetch.mock.calls[0].arguments[1].body).dimensions, 64);
+});
+
+// ─── Vector file ────────────────────────────────────────────────
+
+test('encodeVectors/decodeVectors: passages and quantized vectors round trip', () => {
+  const file = JSON.parse(JSON.stringify(encodeVectors(EMBEDDER, PASSAGES, VECTORS)));
+  assert.equal(file.dimensions, 4);
+  assert.deepEqual(file.passages[0], { id: 'x', start: 0, end: 100, timestamp: 0 });
+  const { data } = decodeVectors(file);
+  assert.deepEqual([...data], [127, 0, 0, 0, 0, 127, 0, 0, 0, 0, 127, 0]);
+});
+
+// ─── Retrieval ──────────────────────────────────────────────────
+
+const INDEX = decodeVectors(encodeVectors(EMBEDDER, PASSAGES, VECTORS));
+
+test('rankPassages: cosine order, and a query of the wrong size is an error', () => {
+  const ranked = rankPassages(INDEX, [0.6, 0.8, 0, 0]);
+  assert.deepEqual(ranked.map(hit => hit.passage.start), [100, 0, 0]);
+  assert.ok(Math.abs(ranked[0].score - 0.8) < 1e-9);
+  assert.throws(() => rankPassages(INDEX, [1, 0, 0]), /3 dimensions, the vector index 4/);
+});
+
+test('semanticSearch: each video once, by its best passage above the cutoff', () => {
+  const hits = semanticSearch(INDEX, [0.6, 0.8, 0, 0]);
+  assert.deepEqual(hits.map(hit => [hit.id, hit.passage.timestamp]), [['x', 42]]);
+});
+
+test('hybridMerge: each side scaled by its top score, then weighted', () => {
+  const keyword = [{ id: 'a', score: 10 }, { id: 'b', score: 5 }];
+  const semantic = [{ id: 'b', score: 0.8, passage: PASSAGES[1] }, { id: 'c', score: 0.4, passage: PASSAGES[2] }];
+  const merged = hybridMerge(keyword, semantic);
+  assert.deepEqual(merged.map(hit => [hit.id, hit.score]), [['b', 0.75], ['a', 0.5], ['c', 0.25]]);
+  assert.equal(merged[0].passage, PASSAGES[1]);
+
+  assert.deepEqual(hybridMerge(keyword, semantic, 1).map(hit => hit.id), ['b', 'c', 'a']);
+  assert.deepEqual(hybridMerge([], semantic).map(hit => hit.id), ['b', 'c']);
+  assert.deepEqual(hybridMerge(keyword, []).map(hit => hit.id), ['a', 'b']);
+});
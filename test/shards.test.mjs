@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { shardPath, splitVideo, decodeShard, MANIFEST_VERSION } from '../src/lib/shards.js';
+import { readDatabase } from '../src/lib/corpus.js';
+
+const VIDEO = {
+  id: 'abc-123', title: 'Cold email to $20k MRR', transcriptAvailable: true,
+  transcript: 'We sent cold email every day.', segments: [{ start: 0, offset: 0 }],
+};
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'founder-wisdom-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function writeData(dir, videos, shards) {
+  fs.mkdirSync(path.join(dir, 'transcripts'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({ version: MANIFEST_VERSION, metadata: { total: videos.length }, videos }));
+  for (const shard of shards) fs.writeFileSync(path.join(dir, shardPath(shard.id)), zlib.gzipSync(JSON.stringify(shard)));
+}
+
+// ─── Shards ─────────────────────────────────────────────────────
+
+test('shardPath: ids are escaped into one file name', () => {
+  assert.equal(shardPath('abc-123'), 'transcripts/abc-123.json.gz');
+  assert.equal(shardPath('../manifest'), 'transcripts/..%2Fmanifest.json.gz');
+});
+
+test('splitVideo: metadata for the manifest, text for the shard', () => {
+  const { meta, shard } = splitVideo(VIDEO);
+  assert.deepEqual(meta, { id: 'abc-123', title: VIDEO.title, transcriptAvailable: true });
+  assert.deepEqual(shard, { id: 'abc-123', transcript: VIDEO.transcript, segments: VIDEO.segments });
+  assert.deepEqual(splitVideo({ id: 'x' }).shard, { id: 'x', transcript: '', segments: [] });
+});
+
+test('decodeShard: gzipped or already inflated bytes', async () => {
+  const { shard } = splitVideo(VIDEO);
+  assert.deepEqual(await decodeShard(zlib.gzipSync(JSON.stringify(shard))), shard);
+  assert.deepEqual(await decodeShard(new TextEncoder().encode(JSON.stringify(shard)).buffer), shard);
+});
+
+// ─── readDatabase ───────────────────────────────────────────────
+
+test('readDatabase: joins the manifest with its transcript shards', t => {
+  const dir = tempDir(t);
+  const { meta, shard } = splitVideo(VIDEO);
+  const pending = { id: 'later', title: 'No transcript yet', transcriptAvailable: false };
+  writeData(dir, [meta, pending], [shard]);
+
+  const database = readDatabase(dir);
+  assert.equal(database.version, MANIFEST_VERSION);
+  assert.deepEqual(database.metadata, { total: 2 });
+  assert.deepEqual(database.videos, [VIDEO, pending]);
+});
+
+test('readDatabase: a missing or corrupt shard marks the transcript unavailable', t => {
+  const dir = tempDir(t);
+  const broken = { id: 'broken', title: 'Broken', transcriptAvailable: true };
+  const missing = { id: 'missing', title: 'Missing', transcriptAvailable: true };
+  writeData(dir, [broken, missing], []);
+  fs.writeFileSync(path.join(dir, shardPath('broken')), 'not gzip');
+
+  assert.deepEqual(readDatabase(dir).videos.map(v => [v.id, v.transcriptAvailable, v.transcript]), [
+    ['broken', false, undefined],
+    ['missing', false, undefined],
+  ]);
+});
+
+test('readDatabase: falls back to a legacy transcripts.json, else null', t => {
+  const dir = tempDir(t);
+  assert.equal(readDatabase(dir), null);
+  fs.writeFileSync(path.join(dir, 'transcripts.json'), JSON.stringify({ metadata: {}, videos: [VIDEO] }));
+  assert.deepEqual(readDatabase(dir).videos, [VIDEO]);
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeEvent, readEvents, readDataLines } from '../src/lib/sse.js';
+
+// A streaming response that delivers `chunks` one read at a time
+function streamOf(chunks) {
+  const encoder = new TextEncoder();
+  return new Response(new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) controller.enqueue(typeof chunk === 'string' ? encoder.encode(chunk) : chunk);
+      controller.close();
+    },
+  }));
+}
+
+async function collect(response) {
+  const events = [];
+  await readEvents(response, (event, data) => events.push([event, data]));
+  return events;
+}
+
+test('encodeEvent: one event block with a JSON payload', () => {
+  const text = new TextDecoder().decode(encodeEvent('sources', { sources: [{ id: 'a' }] }));
+  assert.equal(text, 'event: sources\ndata: {"sources":[{"id":"a"}]}\n\n');
+});
+
+test('readEvents: reads back what encodeEvent wrote', async () => {
+  const events = await collect(streamOf([
+    encodeEvent('sources', { sources: [] }),
+    encodeEvent('delta', { text: 'line one\n\nline two' }),
+    encodeEvent('done', {}),
+  ]));
+  assert.deepEqual(events, [['sources', { sources: [] }], ['delta', { text: 'line one\n\nline two' }], ['done', {}]]);
+});
+
+test('readEvents: events split across reads, several in one read', async () => {
+  const bytes = new Uint8Array([
+    ...encodeEvent('delta', { text: 'héllo' }),
+    ...encodeEvent('delta', { text: 'wörld' }),
+    ...encodeEvent('done', {}),
+  ]);
+  const text = new TextDecoder().decode(bytes);
+  // Cut inside an event, inside the two bytes of "é" and inside the blank
+  // line ending the first event ("é" is the only multi-byte character before it)
+  const cuts = [7, text.indexOf('é') + 1, text.indexOf('\n\n') + 2, bytes.length];
+  const chunks = [];
+  let pos = 0;
+  for (const cut of cuts) {
+    chunks.push(bytes.slice(pos, cut));
+    pos = cut;
+  }
+  assert.deepEqual(await collect(streamOf(chunks)), [['delta', { text: 'héllo' }], ['delta', { text: 'wörld' }], ['done', {}]]);
+});
+
+test('readEvents: data without an event name is a message; comments are skipped', async () => {
+  const events = await collect(streamOf([': keep-alive\n\n', 'data: {"n":1}\n\n', 'event: partial\ndata: {"n":2}']));
+  assert.deepEqual(events, [['message', { n: 1 }]]);
+});
+
+test('readDataLines: yields each chunk and stops at [DONE]', async () => {
+  const chunks = [];
+  const response = streamOf(['data: {"a":1}\n\ndata: {"a"', ':2}\n: comment\n\ndata: [DONE]\n\ndata: {"a":3}\n\n']);
+  for await (const chunk of readDataLines(response)) chunks.push(chunk);
+  assert.deepEqual(chunks, [{ a: 1 }, { a: 2 }]);
+});
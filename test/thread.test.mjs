@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeThread, decodeThread, relinkThread } from '../src/lib/thread.js';
+import { citedPassages } from '../src/lib/prompts.js';
+
+const TRANSCRIPT = 'We sent cold email every day. Cold outreach found our first customers. Then we hired.';
+const VIDEO = {
+  id: 'vid1', title: 'Cold email to $20k MRR', url: 'https://youtu.be/vid1', transcript: TRANSCRIPT,
+  segments: [{ start: 0, offset: 0 }, { start: 30, offset: 12.5 }, { start: 71, offset: 40 }],
+};
+const BY_ID = new Map([[VIDEO.id, VIDEO]]);
+
+const TURNS = [{
+  question: 'How did they find customers — cold email?',
+  answer: 'Cold outreach [1.1].',
+  citations: [{ ref: '1.1', videoId: 'vid1', title: 'Cold email', timestamp: 12.5, start: 30, end: 70, url: 'https://youtu.be/vid1?t=12s' }],
+}];
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// ─── #thread= links ─────────────────────────────────────────────
+
+test('encodeThread/decodeThread: round trip, without citation links', () => {
+  const encoded = encodeThread(TURNS);
+  assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+  const { url, ...citation } = TURNS[0].citations[0];
+  assert.deepEqual(decodeThread(encoded), [{ ...TURNS[0], citations: [citation] }]);
+});
+
+test('decodeThread: garbage decodes to an empty thread', () => {
+  for (const str of ['', '!!!', 'not base64 at all', encode('a string'), encode({ question: 'q' }), encode(null), '%E0%A4%A']) {
+    assert.deepEqual(decodeThread(str), [], str);
+  }
+});
+
+test('decodeThread: drops malformed turns and citations, keeps well-formed ones', () => {
+  const turns = decodeThread(encode([
+    { question: 'q1', answer: 'a1', citations: 'nope' },
+    { question: 42, answer: 'a2' },
+    null,
+    {
+      question: 'q3', answer: 'a3', extra: '<script>',
+      citations: [
+        null,
+        { ref: 1, videoId: 'vid1' },
+        { ref: '1.1', videoId: 'vid1', title: { x: 1 }, timestamp: 'soon', start: 1.5, end: '9', url: 'javascript:alert(1)' },
+      ],
+    },
+  ]));
+  assert.deepEqual(turns, [
+    { question: 'q1', answer: 'a1', citations: [] },
+    { question: 'q3', answer: 'a3', citations: [{ ref: '1.1', videoId: 'vid1', title: '', timestamp: null, start: null, end: null }] },
+  ]);
+});
+
+test('relinkThread: rebuilds links from the corpus, drops unknown videos', () => {
+  const turns = decodeThread(encode([{
+    question: 'q', answer: 'a',
+    citations: [{ ref: '1.1', videoId: 'vid1', title: 'Spoofed', timestamp: 12.5 }, { ref: '2.1', videoId: 'gone', title: 'Gone' }],
+  }]));
+  const [{ citations }] = relinkThread(turns, BY_ID);
+  assert.equal(citations.length, 1);
+  assert.equal(citations[0].title, VIDEO.title);
+  assert.equal(citations[0].url, 'https://youtu.be/vid1?t=12s');
+});
+
+// ─── Pinned citations ───────────────────────────────────────────
+
+test('citedPassages: re-reads cited passages from the corpus', () => {
+  const [pinned, ...rest] = citedPassages(TURNS, BY_ID);
+  assert.equal(rest.length, 0);
+  assert.equal(pinned.video, VIDEO);
+  assert.deepEqual(pinned.passage, { id: 'vid1', start: 30, end: 70, timestamp: 12.5, text: TRANSCRIPT.slice(30, 70) });
+});
+
+test('citedPassages: skips citations with bad offsets or unknown videos', () => {
+  const cite = (videoId, start, end) => ({ ref: '1.1', videoId, start, end });
+  const turns = [{
+    question: 'q', answer: 'a',
+    citations: [
+      null, 'vid1',
+      cite('gone', 0, 10), cite('__proto__', 0, 10),
+      cite('vid1', -5, 10), cite('vid1', 10, 10), cite('vid1', 20, 5), cite('vid1', 0, TRANSCRIPT.length + 1),
+      cite('vid1', 0.5, 10), cite('vid1', '0', '10'), cite('vid1'),
+    ],
+  }, { question: 'q2', answer: 'a2', citations: { videoId: 'vid1', start: 0, end: 10 } }];
+  assert.deepEqual(citedPassages(turns, BY_ID), []);
+});
+
+test('citedPassages: caps passage length and lists each passage once', () => {
+  const long = { ...VIDEO, id: 'long', transcript: 'word '.repeat(1000) };
+  const byId = new Map([...BY_ID, ['long', long]]);
+  const turns = [
+    { question: 'q1', answer: 'a1', citations: [{ ref: '1', videoId: 'long', start: 0, end: 2001 }, { ref: '1.1', videoId: 'vid1', start: 30, end: 70 }] },
+    { question: 'q2', answer: 'a2', citations: [{ ref: '2.1', videoId: 'vid1', start: 30, end: 70 }] },
+  ];
+  assert.deepEqual(citedPassages(turns, byId).map(p => `${p.video.id}:${p.passage.start}`), ['vid1:30']);
+});
@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { compileTaxonomy, tagVideos } from '../scripts/topics.mjs';
+
+test('compileTaxonomy: the shipped topics.json compiles', () => {
+  const topics = compileTaxonomy(JSON.parse(fs.readFileSync(new URL('../topics.json', import.meta.url), 'utf-8')));
+  assert.ok(topics.length > 0);
+  for (const topic of topics) assert.ok(topic.phrases.every(p => p.length > 0), topic.id);
+});
+
+test('compileTaxonomy: a keyword with no searchable words is an error', () => {
+  assert.throws(
+    () => compileTaxonomy({ topics: [{ id: 'sidehustle', label: 'Side hustles', keywords: ['day job', '9 to 5'] }] }),
+    { message: 'Topic sidehustle: keyword "9 to 5" has no searchable words' },
+  );
+});
+
+test('tagVideos: stemmed keywords tag a transcript', () => {
+  const topics = compileTaxonomy({ topics: [{ id: 'sidehustle', label: 'Side hustles', keywords: ['nine to five', 'day job'], minMatches: 2 }] });
+  const video = { transcriptAvailable: true, title: 'From side project to business', transcript: 'I kept my day jobs and worked my nine-to-five for years.' };
+  tagVideos([video], topics);
+  assert.deepEqual(video.topics, ['sidehustle']);
+});
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createTranscriber, fetchTranscript, MAX_TRANSCRIPT_ATTEMPTS } from '../scripts/transcribers.mjs';
+import { YouTubeError } from '../scripts/youtube.mjs';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'asr');
+const transcriber = createTranscriber('fixtures', { dir: FIXTURES });
+
+/**
+ * A YouTube client whose captions() answers with `track`, or throws it if
+ * it's an error, counting the calls
+ */
+function fakeYouTube(track) {
+  const yt = {
+    calls: 0,
+    async captions() {
+      yt.calls++;
+      if (track instanceof Error) throw track;
+      return track;
+    },
+  };
+  return yt;
+}
+
+const noCaptions = () => fakeYouTube(new YouTubeError('Captions 404: no captions', { status: 404, reason: 'no-captions' }));
+
+test('fixtures: reads whisper.cpp output as a caption track', async () => {
+  const track = await transcriber.transcribe({ id: 'nocaptions1' });
+  assert.deepEqual(track[0], { text: ' So I started the business with $500.', offset: 0, duration: 4.2 });
+  assert.equal(track.length, 2);
+  await assert.rejects(transcriber.transcribe({ id: 'missing' }), /No fixture for missing/);
+});
+
+test('fetchTranscript: captions come first', async () => {
+  const yt = fakeYouTube([{ text: 'Hello &amp; welcome', offset: 1.5, duration: 2 }]);
+  const t = await fetchTranscript({ id: 'nocaptions1' }, { yt, transcriber });
+  assert.equal(t.source, 'youtube-captions');
+  assert.equal(t.text, 'Hello & welcome');
+  assert.deepEqual(t.segments, [{ start: 0, offset: 1.5, duration: 2 }]);
+});
+
+test('fetchTranscript: falls back to the transcriber without captions', async () => {
+  const t = await fetchTranscript({ id: 'nocaptions1' }, { yt: noCaptions(), transcriber });
+  assert.equal(t.ok, true);
+  assert.equal(t.source, 'asr');
+  assert.equal(t.text, 'So I started the business with $500. Now it makes & keeps $10k a month.');
+  assert.deepEqual(t.segments.map(s => s.offset), [0, 4.2]);
+  assert.deepEqual([t.captionAttempts, t.asrAttempts], [1, 1]);
+});
+
+test('fetchTranscript: a failed transcription is counted', async () => {
+  const t = await fetchTranscript({ id: 'missing' }, { yt: noCaptions(), transcriber });
+  assert.equal(t.ok, false);
+  assert.equal(t.reason, 'asr-failed');
+  assert.deepEqual([t.captionAttempts, t.asrAttempts], [1, 1]);
+});
+
+test('fetchTranscript: rate limits neither count nor fall back', async () => {
+  const yt = fakeYouTube(new YouTubeError('Too many requests', { status: 429, reason: 'rate-limited', transient: true }));
+  const t = await fetchTranscript({ id: 'nocaptions1' }, { yt, transcriber });
+  assert.equal(t.reason, 'rate-limited');
+  assert.equal(t.captionAttempts, 0);
+  assert.equal(t.asrAttempts, undefined);
+});
+
+test('fetchTranscript: gives up on transcription after the last attempt', async () => {
+  const asr = { name: 'fixtures', calls: 0, transcribe: async video => (asr.calls++, transcriber.transcribe(video)) };
+  const t = await fetchTranscript({ id: 'nocaptions1', asrAttempts: MAX_TRANSCRIPT_ATTEMPTS }, { yt: noCaptions(), transcriber: asr });
+  assert.equal(asr.calls, 0);
+  assert.equal(t.ok, false);
+  assert.equal(t.reason, 'no-captions');
+  assert.deepEqual([t.captionAttempts, t.asrAttempts], [1, undefined]);
+});
+
+test('fetchTranscript: captions given up on go straight to the transcriber', async () => {
+  const yt = noCaptions();
+  const t = await fetchTranscript({ id: 'nocaptions1', transcriptAttempts: 2 }, { yt, transcriber, maxAttempts: 2 });
+  assert.equal(yt.calls, 0);
+  assert.equal(t.source, 'asr');
+  assert.equal(t.captionAttempts, 0);
+});
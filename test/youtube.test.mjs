@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createYouTube, YouTubeError, QuotaBudgetError } from '../scripts/youtube.mjs';
+
+const BASE = 'http://youtube.test/v3';
+
+/**
+ * A fake Data API: answers each request with the next of `responses`
+ * ({ status, body }), recording the URLs it was asked for
+ */
+function fakeFetch(responses) {
+  const calls = [];
+  const fetch = async url => {
+    calls.push(new URL(url));
+    const { status = 200, body = {} } = responses[Math.min(calls.length - 1, responses.length - 1)];
+    return { ok: status < 400, status, headers: new Headers(), json: async () => body };
+  };
+  return { fetch, calls };
+}
+
+const apiError = (status, reason) => ({ status, body: { error: { message: reason, errors: [{ reason }] } } });
+
+test('get: sends the key and params and counts quota', async () => {
+  const { fetch, calls } = fakeFetch([{ body: { items: [{ id: 'abc' }] } }]);
+  const yt = createYouTube({ apiKey: 'KEY', fetch, baseUrl: BASE });
+  const data = await yt.get('videos', { id: 'abc', part: 'snippet' });
+  assert.deepEqual(data.items, [{ id: 'abc' }]);
+  assert.equal(calls[0].pathname, '/v3/videos');
+  assert.equal(calls[0].searchParams.get('key'), 'KEY');
+  assert.equal(calls[0].searchParams.get('part'), 'snippet');
+  assert.equal(yt.quota.used, 1);
+});
+
+test('get: a 403 quotaExceeded fails at once', async () => {
+  const { fetch, calls } = fakeFetch([apiError(403, 'quotaExceeded')]);
+  const yt = createYouTube({ apiKey: 'KEY', fetch, baseUrl: BASE, baseMs: 1 });
+  await assert.rejects(yt.get('videos', { id: 'abc' }), err => {
+    assert.ok(err instanceof YouTubeError);
+    assert.equal(err.status, 403);
+    assert.equal(err.reason, 'quota-exceeded');
+    assert.equal(err.transient, false);
+    return true;
+  });
+  assert.equal(calls.length, 1);
+});
+
+test('get: 5xx responses are retried with backoff', async () => {
+  const { fetch, calls } = fakeFetch([apiError(503, 'backendError'), apiError(500, 'backendError'), { body: { items: [] } }]);
+  const retries = [];
+  const yt = createYouTube({ apiKey: 'KEY', fetch, baseUrl: BASE, baseMs: 1, log: line => retries.push(line) });
+  const data = await yt.get('playlistItems', { playlistId: 'UU1' });
+  assert.deepEqual(data.items, []);
+  assert.equal(calls.length, 3);
+  assert.equal(retries.length, 2);
+  assert.match(retries[0], /^retry 1\/4 in \d+ms — YT API 503/);
+  assert.match(retries[1], /^retry 2\/4 in \d+ms — YT API 500/);
+  // Failed attempts cost quota too
+  assert.equal(yt.quota.used, 3);
+});
+
+test('get: rate limits are retried and told apart from outages', async () => {
+  const { fetch, calls } = fakeFetch([{ status: 429, body: {} }, apiError(403, 'userRateLimitExceeded'), { body: { items: [] } }]);
+  const yt = createYouTube({ apiKey: 'KEY', fetch, baseUrl: BASE, baseMs: 1 });
+  await yt.get('videos', { id: 'abc' });
+  assert.equal(calls.length, 3);
+
+  const limited = fakeFetch([apiError(403, 'rateLimitExceeded')]);
+  const client = createYouTube({ apiKey: 'KEY', fetch: limited.fetch, baseUrl: BASE, baseMs: 1, retries: 0 });
+  await assert.rejects(client.get('videos', { id: 'abc' }), { status: 403, reason: 'rate-limited', transient: true });
+});
+
+test('get: gives up after the last retry', async () => {
+  const { fetch, calls } = fakeFetch([apiError(500, 'backendError')]);
+  const yt = createYouTube({ apiKey: 'KEY', fetch, baseUrl: BASE, baseMs: 1, retries: 2 });
+  await assert.rejects(yt.get('videos', { id: 'abc' }), { status: 500, reason: 'server-error' });
+  assert.equal(calls.length, 3);
+});
+
+test('get: stops once the quota budget would be exceeded', async () => {
+  const { fetch, calls } = fakeFetch([{ body: { items: [] } }]);
+  const yt = createYouTube({ apiKey: 'KEY', fetch, baseUrl: BASE, quotaBudget: 2 });
+  await yt.get('playlistItems', { playlistId: 'UU1' });
+  await yt.get('videos', { id: 'abc' });
+  await assert.rejects(yt.get('videos', { id: 'def' }), err => err instanceof QuotaBudgetError && err.reason === 'quota-budget');
+  // The over-budget request is never sent, and search (100 units) is refused outright
+  await assert.rejects(yt.get('search', { q: 'saas' }), QuotaBudgetError);
+  assert.equal(calls.length, 2);
+  assert.deepEqual(yt.quota, { used: 2, budget: 2 });
+});
+
+test('get: a quota-budget stop mid-retry is not retried', async () => {
+  const { fetch, calls } = fakeFetch([apiError(503, 'backendError')]);
+  const yt = createYouTube({ apiKey: 'KEY', fetch, baseUrl: BASE, baseMs: 1, quotaBudget: 2 });
+  await assert.rejects(yt.get('videos', { id: 'abc' }), QuotaBudgetError);
+  assert.equal(calls.length, 2);
+});